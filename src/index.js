@@ -12,6 +12,10 @@ const authRoutes = require('./routes/auth');
 const bookmarkRoutes = require('./routes/bookmarks');
 const folderRoutes = require('./routes/folders');
 const chatRoutes = require('./routes/chat');
+const highlightRoutes = require('./routes/highlights');
+const trashRoutes = require('./routes/trash');
+const historyRoutes = require('./routes/history');
+const cronRoutes = require('./routes/cron');
 
 // Initialize express
 const app = express();
@@ -40,12 +44,18 @@ const corsOptions = {
     credentials: true,
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
     allowedHeaders: ['Content-Type', 'Authorization'],
+    exposedHeaders: ['Content-Disposition'], // Lets clients read export filenames
     maxAge: 86400 // 24 hours
 };
 
 // Apply middleware
 app.use(cors(corsOptions));
-app.use(express.json());
+// Imports parse their own, much larger bodies (see routes/bookmarks.js)
+const jsonParser = express.json();
+app.use((req, res, next) => {
+    if (req.path === '/bookmarks/import') return next();
+    jsonParser(req, res, next);
+});
 app.use(express.urlencoded({ extended: true }));
 
 // Initialize passport without session
@@ -83,6 +93,10 @@ app.use('/auth', authRoutes);
 app.use('/bookmarks', bookmarkRoutes);
 app.use('/folders', folderRoutes);
 app.use('/chat', chatRoutes);
+app.use('/highlights', highlightRoutes);
+app.use('/trash', trashRoutes);
+app.use('/history', historyRoutes);
+app.use('/cron', cronRoutes);
 
 // Basic route
 app.get('/', (req, res) => {
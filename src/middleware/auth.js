@@ -1,6 +1,13 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 
+// Links the browser opens directly (visit redirects, reader pages) can't send
+// an Authorization header. Rather than the session token, which would end up
+// in browser history and server logs, they carry a short-lived token that only
+// opens one bookmark's links.
+const LINK_TOKEN_PURPOSE = 'link';
+const LINK_TOKEN_TTL_SECONDS = 10 * 60;
+
 exports.protect = async (req, res, next) => {
     try {
         let token;
@@ -21,6 +28,10 @@ exports.protect = async (req, res, next) => {
         try {
             // Verify token
             const decoded = jwt.verify(token, process.env.JWT_SECRET);
+            // Link tokens only open links, never the API
+            if (decoded.purpose) {
+                throw new Error('Not a session token');
+            }
             // Explicitly select the openAiKey field
             req.user = await User.findById(decoded.id).select('+openAiKey');
             next();
@@ -33,3 +44,63 @@ exports.protect = async (req, res, next) => {
         next(error);
     }
 };
+
+/**
+ * Creates a link token for one of a user's bookmarks
+ * @param {string} userId - The user ID
+ * @param {string} bookmarkId - The bookmark ID
+ * @returns {Object} - { token, expiresAt }
+ */
+exports.createLinkToken = (userId, bookmarkId) => {
+    const token = jwt.sign(
+        { id: userId, purpose: LINK_TOKEN_PURPOSE, bookmark: String(bookmarkId) },
+        process.env.JWT_SECRET,
+        { expiresIn: LINK_TOKEN_TTL_SECONDS }
+    );
+    return { token, expiresAt: new Date(Date.now() + LINK_TOKEN_TTL_SECONDS * 1000) };
+};
+
+// Like protect, but also accepts a link token for the bookmark in the URL
+// (`:id`) as a `token` query parameter
+exports.protectLink = async (req, res, next) => {
+    if (req.headers.authorization || typeof req.query.token !== 'string') {
+        return exports.protect(req, res, next);
+    }
+
+    try {
+        let decoded;
+        try {
+            decoded = jwt.verify(req.query.token, process.env.JWT_SECRET);
+        } catch (err) {
+            decoded = null;
+        }
+
+        if (!decoded || decoded.purpose !== LINK_TOKEN_PURPOSE || decoded.bookmark !== req.params.id) {
+            return res.status(401).json({
+                message: 'Not authorized to access this route'
+            });
+        }
+
+        req.user = await User.findById(decoded.id);
+        if (!req.user) {
+            return res.status(401).json({
+                message: 'Not authorized to access this route'
+            });
+        }
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Guards routes invoked by the Vercel cron scheduler, which sends
+// `Authorization: Bearer <CRON_SECRET>`
+exports.cronAuth = (req, res, next) => {
+    const secret = process.env.CRON_SECRET;
+    if (!secret || req.headers.authorization !== `Bearer ${secret}`) {
+        return res.status(401).json({
+            message: 'Not authorized to access this route'
+        });
+    }
+    next();
+};
@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const softDelete = require('../utils/softDelete');
+const { RECURRENCES } = require('../utils/reminders');
+const { fingerprintBands } = require('../utils/simhash');
 
 const bookmarkSchema = new mongoose.Schema({
     url: {
@@ -9,6 +12,29 @@ const bookmarkSchema = new mongoose.Schema({
             'Please provide a valid URL'
         ]
     },
+    // Key shared by variants of the URL (AMP, mobile, rel=canonical), for
+    // spotting duplicates that aren't exact URL matches
+    canonicalUrl: {
+        type: String,
+        default: null
+    },
+    // Simhash of the fetched text (see utils/simhash); null until the page
+    // has been fetched, or if it's too short to fingerprint
+    fingerprint: {
+        type: String,
+        default: null
+    },
+    // The fingerprint's bands, kept in sync on save, so near-duplicates can
+    // be looked up through an index
+    fingerprintBands: {
+        type: [String],
+        default: []
+    },
+    // Likely duplicates found when the bookmark was saved and analyzed
+    possibleDuplicates: [{
+        type: mongoose.Schema.ObjectId,
+        ref: 'Bookmark'
+    }],
     title: {
         type: String,
         trim: true,
@@ -21,8 +47,29 @@ const bookmarkSchema = new mongoose.Schema({
     },
     aiSummary: {
         type: String,
-        required: [true, 'Summary is required'],
-        trim: true
+        trim: true,
+        default: '' // Filled in by the ingestion job
+    },
+    // Personal Markdown notes
+    notes: {
+        type: String,
+        trim: true,
+        default: ''
+    },
+    // Fields the user has edited by hand, which reanalysis must not overwrite
+    overrides: {
+        title: {
+            type: Boolean,
+            default: false
+        },
+        description: {
+            type: Boolean,
+            default: false
+        },
+        aiSummary: {
+            type: Boolean,
+            default: false
+        }
     },
     tags: [{
         type: String,
@@ -51,9 +98,118 @@ const bookmarkSchema = new mongoose.Schema({
         type: Date,
         default: Date.now
     },
+    // Times the bookmark was opened through the visit redirect
+    clickCount: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    lastVisitedAt: {
+        type: Date,
+        default: null
+    },
+    // Read-later state; progress is a percentage reported by the client
+    reading: {
+        status: {
+            type: String,
+            enum: ['unread', 'reading', 'read', 'archived'],
+            default: 'unread'
+        },
+        progress: {
+            type: Number,
+            min: 0,
+            max: 100,
+            default: 0
+        },
+        lastReadAt: {
+            type: Date,
+            default: null
+        },
+        finishedAt: {
+            type: Date,
+            default: null
+        }
+    },
+    // Snoozed bookmarks are hidden from the default listing until remindAt,
+    // then show up as due
+    reminder: {
+        remindAt: {
+            type: Date,
+            default: null
+        },
+        recurrence: {
+            type: String,
+            enum: RECURRENCES,
+            default: 'none'
+        }
+    },
+    // Measured from the fetched content; null until it has been fetched
+    wordCount: {
+        type: Number,
+        default: null
+    },
+    readingTime: {
+        type: Number, // Minutes
+        default: null
+    },
     warning: {
         type: String,
         trim: true
+    },
+    analysis: {
+        status: {
+            type: String,
+            enum: ['pending', 'succeeded', 'partial', 'failed'],
+            default: 'pending'
+        },
+        provider: {
+            type: String,
+            default: null
+        },
+        model: {
+            type: String,
+            default: null
+        },
+        // Per-field failure reasons; `fetch` is set when the page couldn't be retrieved
+        errors: {
+            summary: String,
+            tags: String,
+            category: String,
+            fetch: String,
+            embedding: String
+        },
+        analyzedAt: {
+            type: Date,
+            default: null
+        }
+    },
+    // Vector for semantic search, computed at analysis time. Vectors are
+    // large, so they're only loaded when selected explicitly.
+    embedding: {
+        vector: {
+            type: [Number],
+            select: false,
+            default: undefined
+        },
+        // Vectors are only comparable with ones from the same model
+        model: {
+            type: String,
+            default: null
+        },
+        embeddedAt: {
+            type: Date,
+            default: null
+        },
+        // Set when a backfill couldn't embed the bookmark with this model, so
+        // later backfills move on to other bookmarks
+        failedModel: {
+            type: String,
+            default: null
+        },
+        failedAt: {
+            type: Date,
+            default: null
+        }
     }
 }, {
     timestamps: true,
@@ -61,13 +217,30 @@ const bookmarkSchema = new mongoose.Schema({
     toObject: { virtuals: true }
 });
 
+// Deleted bookmarks go to the trash and are hidden from queries
+bookmarkSchema.plugin(softDelete);
+
 // Create compound indexes for efficient searching
 bookmarkSchema.index({ tags: 1, user: 1 });
 bookmarkSchema.index({ user: 1, createdAt: -1 });
-bookmarkSchema.index({ title: 'text', description: 'text', aiSummary: 'text' });
+// Title hits rank above hits in the longer fields. Changing the fields or
+// weights needs the old text index dropped (see utils/syncBookmarkIndexes.js).
+bookmarkSchema.index(
+    { title: 'text', description: 'text', aiSummary: 'text', notes: 'text' },
+    { name: 'bookmark_text_search', weights: { title: 10, description: 4, aiSummary: 3, notes: 2 } }
+);
 bookmarkSchema.index({ folder: 1, user: 1 });
 bookmarkSchema.index({ category: 1, user: 1 });
 bookmarkSchema.index({ isFavorite: 1, user: 1 });
+bookmarkSchema.index({ 'analysis.status': 1, user: 1 });
+bookmarkSchema.index({ user: 1, clickCount: -1 });
+bookmarkSchema.index({ user: 1, lastVisitedAt: -1 });
+bookmarkSchema.index({ user: 1, 'reading.status': 1, 'reading.lastReadAt': -1 });
+bookmarkSchema.index({ user: 1, 'reminder.remindAt': 1 });
+bookmarkSchema.index({ user: 1, 'embedding.model': 1 });
+bookmarkSchema.index({ user: 1, url: 1 });
+bookmarkSchema.index({ user: 1, canonicalUrl: 1 });
+bookmarkSchema.index({ user: 1, fingerprintBands: 1 });
 
 // Pre-save middleware to ensure tags array exists
 bookmarkSchema.pre('save', function(next) {
@@ -76,6 +249,9 @@ bookmarkSchema.pre('save', function(next) {
     }
     // Ensure tags are unique and trimmed
     this.tags = [...new Set(this.tags.map(tag => tag.trim()))];
+    if (this.isModified('fingerprint')) {
+        this.fingerprintBands = fingerprintBands(this.fingerprint);
+    }
     next();
 });
 
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+// The readable text of a bookmarked page as last fetched, kept apart from
+// the bookmark so listings stay light. Survives the page going away.
+const bookmarkContentSchema = new mongoose.Schema({
+    bookmark: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'Bookmark',
+        required: true
+    },
+    user: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // The URL the content was fetched from
+    url: {
+        type: String,
+        required: true
+    },
+    title: {
+        type: String,
+        trim: true,
+        default: ''
+    },
+    // The extracted text exactly as analysis saw it; highlight anchors are
+    // offsets into this
+    text: {
+        type: String,
+        default: ''
+    },
+    // The same content split into blocks for the reader, tagged with the
+    // element they came from (h1-h6, p, li, blockquote, pre)
+    blocks: [{
+        _id: false,
+        tag: {
+            type: String,
+            required: true
+        },
+        text: {
+            type: String,
+            required: true
+        }
+    }],
+    // SHA-256 of text, to tell whether a refetch changed anything
+    contentHash: {
+        type: String,
+        required: true
+    },
+    fetchedAt: {
+        type: Date,
+        required: true
+    },
+    // When the text last differed from the previous fetch
+    changedAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+bookmarkContentSchema.index({ bookmark: 1 }, { unique: true });
+// Text searches are always within one user's library, so the user prefix
+// keeps them from touching anyone else's pages. $text queries on this
+// collection must therefore match on user.
+bookmarkContentSchema.index({ user: 1, text: 'text' });
+
+module.exports = mongoose.model('BookmarkContent', bookmarkContentSchema);
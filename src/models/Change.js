@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+// One entry in the change history: the fields of a bookmark or folder that an
+// operation changed, before and after. Changes made together (a bulk action,
+// an import) share an operation ID so they can be undone as a unit.
+const changeSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // Who made the change; null for background work such as AI analysis
+    actor: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    entityType: {
+        type: String,
+        enum: ['Bookmark', 'Folder'],
+        required: true
+    },
+    entity: {
+        type: mongoose.Schema.ObjectId,
+        required: true
+    },
+    action: {
+        type: String,
+        enum: ['create', 'update'],
+        default: 'update'
+    },
+    operation: {
+        type: mongoose.Schema.ObjectId,
+        required: true
+    },
+    // What kind of operation made the change, e.g. 'update' or 'bulk:tag'
+    label: {
+        type: String,
+        required: true
+    },
+    before: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    after: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    undoneAt: {
+        type: Date,
+        default: null
+    },
+    // The undo operation that reverted this change
+    undoneBy: {
+        type: mongoose.Schema.ObjectId,
+        default: null
+    },
+    // Fields already reverted by an undo that hit conflicts on others; the
+    // change only counts as undone once every field is
+    undoneFields: {
+        type: [String],
+        default: []
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false },
+    minimize: false
+});
+
+changeSchema.index({ user: 1, entity: 1, createdAt: -1 });
+changeSchema.index({ user: 1, operation: 1 });
+changeSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Change', changeSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const softDelete = require('../utils/softDelete');
 
 const folderSchema = new mongoose.Schema({
     name: {
@@ -28,6 +29,18 @@ const folderSchema = new mongoose.Schema({
     icon: {
         type: String,
         default: 'folder' // Default icon name
+    },
+    // What was moved to the root when this folder was trashed, so a restore
+    // can put it back
+    trashedContents: {
+        bookmarks: [{
+            type: mongoose.Schema.ObjectId,
+            ref: 'Bookmark'
+        }],
+        subfolders: [{
+            type: mongoose.Schema.ObjectId,
+            ref: 'Folder'
+        }]
     }
 }, {
     timestamps: true,
@@ -49,6 +62,9 @@ folderSchema.virtual('bookmarks', {
     foreignField: 'folder'
 });
 
+// Deleted folders go to the trash and are hidden from queries
+folderSchema.plugin(softDelete);
+
 // Compound indexes for efficient querying
 folderSchema.index({ user: 1, parent: 1 });
 folderSchema.index({ user: 1, name: 1 });
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+const highlightSchema = new mongoose.Schema({
+    bookmark: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'Bookmark',
+        required: true
+    },
+    user: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    text: {
+        type: String,
+        required: [true, 'Please provide the highlighted text'],
+        trim: true
+    },
+    comment: {
+        type: String,
+        trim: true,
+        default: ''
+    },
+    color: {
+        type: String,
+        default: '#ffeb3b' // Default yellow
+    },
+    // Where the quote sits in the extracted page content: character offsets
+    // plus surrounding text so it can be re-anchored if the content shifts
+    anchor: {
+        start: {
+            type: Number,
+            min: 0
+        },
+        end: {
+            type: Number,
+            min: 0
+        },
+        prefix: {
+            type: String,
+            default: ''
+        },
+        suffix: {
+            type: String,
+            default: ''
+        }
+    }
+}, {
+    timestamps: true
+});
+
+highlightSchema.index({ bookmark: 1, 'anchor.start': 1 });
+highlightSchema.index({ user: 1, createdAt: -1 });
+// Like the page content index, prefixed with the user so a search only
+// touches that user's highlights. $text queries here must match on user.
+highlightSchema.index({ user: 1, text: 'text', comment: 'text' });
+
+module.exports = mongoose.model('Highlight', highlightSchema);
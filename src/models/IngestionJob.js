@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+const ingestionJobSchema = new mongoose.Schema({
+    bookmark: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'Bookmark',
+        required: true
+    },
+    user: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    url: {
+        type: String,
+        required: true
+    },
+    // 'ingest' fills in a newly saved bookmark, 'reanalyze' refreshes an existing one
+    type: {
+        type: String,
+        enum: ['ingest', 'reanalyze'],
+        default: 'ingest'
+    },
+    // Reanalysis only: keep the bookmark's current tags alongside the new ones
+    keepTags: {
+        type: Boolean,
+        default: false
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'processing', 'completed', 'failed'],
+        default: 'pending'
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    maxAttempts: {
+        type: Number,
+        default: 3
+    },
+    // Earliest time the job may be picked up again (used for retry backoff)
+    runAt: {
+        type: Date,
+        default: Date.now
+    },
+    // Set when a worker claims the job, so stale claims can be recovered
+    lockedAt: {
+        type: Date,
+        default: null
+    },
+    lastError: {
+        type: String,
+        default: null
+    },
+    failures: [{
+        attempt: Number,
+        message: String,
+        at: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+    completedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+ingestionJobSchema.index({ status: 1, runAt: 1 });
+ingestionJobSchema.index({ user: 1, createdAt: -1 });
+ingestionJobSchema.index({ bookmark: 1 });
+
+module.exports = mongoose.model('IngestionJob', ingestionJobSchema);
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// A saved search shown as a smart folder: its contents are whatever
+// bookmarks currently match the query
+const savedSearchSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    name: {
+        type: String,
+        required: [true, 'Please provide a name'],
+        trim: true
+    },
+    // In the search query language (see utils/queryLanguage)
+    query: {
+        type: String,
+        required: [true, 'Please provide a search query'],
+        trim: true
+    },
+    // One of the SORT_ORDERS keys; null lists newest first
+    sort: {
+        type: String,
+        default: null
+    },
+    color: {
+        type: String,
+        default: '#808080' // Default gray color
+    },
+    icon: {
+        type: String,
+        default: 'search' // Default icon name
+    }
+}, {
+    timestamps: true
+});
+
+savedSearchSchema.index({ user: 1, name: 1 });
+
+module.exports = mongoose.model('SavedSearch', savedSearchSchema);
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// Maps an alternative spelling of a tag onto the user's canonical tag, so
+// tags from AI analysis, imports and edits land on the canonical one
+const tagAliasSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // Stored normalized (see utils/tagNormalizer)
+    alias: {
+        type: String,
+        required: [true, 'Please provide an alias'],
+        trim: true
+    },
+    tag: {
+        type: String,
+        required: [true, 'Please provide the canonical tag'],
+        trim: true
+    }
+}, {
+    timestamps: true
+});
+
+tagAliasSchema.index({ user: 1, alias: 1 }, { unique: true });
+tagAliasSchema.index({ user: 1, tag: 1 });
+
+module.exports = mongoose.model('TagAlias', tagAliasSchema);
@@ -44,6 +44,31 @@ const userSchema = new mongoose.Schema({
         enum: ['openai', 'claude'],
         default: 'openai'
     },
+    // How processTags normalizes this user's tags (see utils/tagNormalizer)
+    tagSettings: {
+        // Added to the built-in terms that are never singularized or fuzzy-matched
+        preservedTerms: [{
+            type: String,
+            trim: true,
+            lowercase: true
+        }],
+        // Unset means the default threshold
+        similarityThreshold: {
+            type: Number,
+            min: 0,
+            max: 1
+        },
+        blockedTags: [{
+            type: String,
+            trim: true,
+            lowercase: true
+        }],
+        // Unset means no limit
+        maxTags: {
+            type: Number,
+            min: 1
+        }
+    },
     hasCompletedTour: {
         type: Boolean,
         default: false
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// Daily visit counts for a bookmark: one document per bookmark per UTC day
+const visitSchema = new mongoose.Schema({
+    bookmark: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'Bookmark',
+        required: true
+    },
+    user: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // Midnight UTC of the day the visits happened
+    day: {
+        type: Date,
+        required: true
+    },
+    count: {
+        type: Number,
+        default: 0,
+        min: 0
+    }
+});
+
+visitSchema.index({ bookmark: 1, day: 1 }, { unique: true });
+visitSchema.index({ user: 1, day: -1 });
+
+module.exports = mongoose.model('Visit', visitSchema);
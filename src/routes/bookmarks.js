@@ -1,18 +1,100 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
-const { protect } = require('../middleware/auth');
+const { protect, protectLink, createLinkToken } = require('../middleware/auth');
 const Bookmark = require('../models/Bookmark');
+const Change = require('../models/Change');
+const Highlight = require('../models/Highlight');
+const IngestionJob = require('../models/IngestionJob');
+const SavedSearch = require('../models/SavedSearch');
 const User = require('../models/User');
-const { analyzeContent } = require('../services/ai');
-const { fetchContent } = require('../utils/contentFetcher');
+const { EXPORT_FORMATS, exportBookmarks } = require('../services/exporter');
+const { importBookmarks } = require('../services/importer');
+const {
+    DEFAULT_TREND_DAYS,
+    recordVisit,
+    getBookmarkVisits,
+    getVisitTrends
+} = require('../services/visits');
+const { trashBookmarks } = require('../services/trash');
+const { getSearchFacets } = require('../services/facets');
+const { buildSavedSearchFilter } = require('../services/savedSearches');
+const { backfillEmbeddings } = require('../services/embeddings');
+const { DEFAULT_RELATED_LIMIT, findRelated } = require('../services/related');
+const { findDuplicateGroups, flagDuplicates, mergeBookmarks } = require('../services/duplicates');
+const { keywordSearch, attachSnippets } = require('../services/textSearch');
+const { getContent } = require('../services/content');
+const {
+    SEARCH_MODES,
+    semanticSearch,
+    hybridSearch,
+    loadRankedBookmarks
+} = require('../services/semanticSearch');
+const {
+    startOperation,
+    snapshot,
+    recordChange,
+    recordCreate,
+    trackedUpdateMany
+} = require('../services/history');
+const {
+    createIngestionJob,
+    findFailedAnalyses,
+    isJobDue,
+    queueReanalysis,
+    runJobInBackground
+} = require('../services/ingestion');
+const { getTagContext } = require('../services/tags');
 const { processTags } = require('../utils/tagNormalizer');
-const { cleanUrl } = require('../utils/urlCleaner');
+const { cleanUrl, canonicalizeUrl } = require('../utils/urlCleaner');
+const {
+    buildSearchFilter,
+    buildReadingStatusFilter,
+    parseAnalysisStatuses,
+    parseSort,
+    SORT_ORDERS
+} = require('../utils/searchQuery');
+const { renderReaderPage } = require('../utils/readerPage');
+const { IMPORT_SOURCES, parseImportFile } = require('../utils/importParsers');
+const { RECURRENCES, nextOccurrence, notSnoozedCondition } = require('../utils/reminders');
+const { mentionsSnoozed } = require('../utils/queryLanguage');
+const tagRoutes = require('./tags');
 const router = express.Router();
 
 const DEFAULT_PAGE_SIZE = 24;
+const MAX_TREND_DAYS = 365;
+const MAX_RELATED_LIMIT = 50;
+const IMPORT_SIZE_LIMIT = '20mb';
+const OVERRIDABLE_FIELDS = ['title', 'description', 'aiSummary'];
+const READING_STATUSES = Bookmark.schema.path('reading.status').enumValues;
+
+/**
+ * Builds the update for moving bookmarks to a reading status. Marking as read
+ * completes the progress; marking as unread resets it.
+ * @param {string} status - The new reading status
+ * @param {Date} now - The current time
+ * @returns {Object} - Fields to $set
+ */
+const readingStatusUpdate = (status, now) => {
+    const update = { 'reading.status': status };
+    if (status === 'read') {
+        update['reading.progress'] = 100;
+        update['reading.finishedAt'] = now;
+    } else if (status === 'unread') {
+        update['reading.progress'] = 0;
+        update['reading.finishedAt'] = null;
+    } else if (status === 'reading') {
+        update['reading.lastReadAt'] = now;
+    }
+    return update;
+};
+
+// Tag listing and management
+router.use('/tags', tagRoutes);
 
 // @route   POST /api/bookmarks
-// @desc    Create a new bookmark
+// @desc    Create a pending bookmark and queue it for ingestion. Likely
+//          duplicates (same canonical URL) are flagged in possibleDuplicates;
+//          the ingestion job adds ones with near-identical content.
 // @access  Private
 router.post('/', [
     protect,
@@ -47,57 +129,33 @@ router.post('/', [
             });
         }
 
-        // Fetch content from URL
-        let fetchedContent;
-        try {
-            fetchedContent = await fetchContent(cleanedUrl);
-            if (!fetchedContent || !fetchedContent.content) {
-                throw new Error('No content could be fetched from URL');
-            }
-        } catch (error) {
-            return res.status(400).json({
-                message: `Failed to fetch content: ${error.message}`
-            });
-        }
-
-        // Generate AI summary, tags, and category
-        let analysisResult;
-        try {
-            analysisResult = await analyzeContent(cleanedUrl, fetchedContent.content, user);
-            if (!analysisResult) {
-                throw new Error('Failed to analyze content');
-            }
-        } catch (error) {
-            return res.status(500).json({
-                message: `Failed to analyze content: ${error.message}`
-            });
-        }
-
-        // Get existing tags and process new ones
-        const existingBookmarks = await Bookmark.find({ user: req.user.id });
-        const existingTags = Array.from(new Set(
-            existingBookmarks.flatMap(bookmark => bookmark.tags || [])
-        ));
-        const normalizedTags = processTags(analysisResult.tags, existingTags);
-
-        // Create bookmark
+        // Persist the bookmark right away; fetching and AI analysis happen in
+        // the ingestion job so slow sites can't push us past the request limit
+        let bookmark;
+        let job;
         try {
-            const bookmark = await Bookmark.create({
+            bookmark = new Bookmark({
                 url: cleanedUrl,
-                title: fetchedContent.title,
-                description: fetchedContent.description,
-                aiSummary: analysisResult.summary,
-                tags: normalizedTags,
-                category: analysisResult.category,
+                canonicalUrl: canonicalizeUrl(cleanedUrl),
                 user: req.user.id
             });
-
-            res.status(201).json(bookmark);
+            await flagDuplicates(bookmark);
+            await bookmark.save();
+            await recordCreate(startOperation(req.user.id, 'create'), 'Bookmark', [bookmark]);
+            job = await createIngestionJob(bookmark);
         } catch (error) {
             return res.status(500).json({
                 message: `Failed to save bookmark: ${error.message}`
             });
         }
+
+        res.status(202).json({
+            jobId: job._id,
+            status: job.status,
+            bookmark
+        });
+
+        runJobInBackground(job._id);
     } catch (error) {
         console.error('Bookmark creation error:', error);
         res.status(500).json({
@@ -106,14 +164,138 @@ router.post('/', [
     }
 });
 
-// Get bookmarks route with pagination
+// @route   GET /api/bookmarks/jobs/:id
+// @desc    Get the status of an ingestion job
+// @access  Private
+router.get('/jobs/:id', protect, async (req, res) => {
+    try {
+        const job = await IngestionJob.findOne({
+            _id: req.params.id,
+            user: req.user.id
+        });
+
+        if (!job) {
+            return res.status(404).json({ message: 'Job not found' });
+        }
+
+        // Serverless invocations can be frozen once they respond, so polling
+        // also picks up jobs that are waiting on a retry or were abandoned
+        if (isJobDue(job)) {
+            runJobInBackground(job._id);
+        }
+
+        res.json({
+            id: job._id,
+            bookmark: job.bookmark,
+            url: job.url,
+            status: job.status,
+            attempts: job.attempts,
+            maxAttempts: job.maxAttempts,
+            nextAttemptAt: job.status === 'pending' ? job.runAt : null,
+            error: job.lastError,
+            failures: job.failures,
+            completedAt: job.completedAt,
+            createdAt: job.createdAt,
+            updatedAt: job.updatedAt
+        });
+    } catch (error) {
+        console.error('Get ingestion job error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   POST /api/bookmarks/import
+// @desc    Import a browser (Netscape HTML) or read-later service export
+// @access  Private
+router.post('/import', [
+    protect,
+    express.text({ type: ['text/html', 'text/csv', 'text/plain'], limit: IMPORT_SIZE_LIMIT }),
+    express.json({ limit: IMPORT_SIZE_LIMIT })
+], async (req, res) => {
+    try {
+        const source = (req.query.source || 'netscape').toLowerCase();
+        if (!IMPORT_SOURCES.includes(source)) {
+            return res.status(400).json({
+                message: `Invalid import source. Expected one of: ${IMPORT_SOURCES.join(', ')}`
+            });
+        }
+
+        // Accept the raw file as the body, or JSON of the form { content }
+        let content = req.body;
+        if (Array.isArray(content)) {
+            content = JSON.stringify(content);
+        } else if (content && typeof content === 'object') {
+            content = content.content || content.html;
+        }
+        if (!content || typeof content !== 'string') {
+            return res.status(400).json({ message: 'Import file is required' });
+        }
+
+        const user = await User.findById(req.user.id).select('+openAiKey +claudeKey');
+        if (!user.openAiKey && !user.claudeKey) {
+            return res.status(400).json({
+                message: 'API key is required. Please add it in your account settings.'
+            });
+        }
+
+        let entries;
+        try {
+            entries = parseImportFile(source, content);
+        } catch (error) {
+            return res.status(400).json({ message: error.message });
+        }
+        if (entries.length === 0) {
+            return res.status(400).json({ message: 'No bookmarks found in file' });
+        }
+
+        const report = await importBookmarks(req.user.id, entries);
+
+        res.status(202).json({
+            total: entries.length,
+            createdCount: report.created.length,
+            skippedCount: report.skipped.length,
+            failedCount: report.failed.length,
+            ...report
+        });
+    } catch (error) {
+        console.error('Bookmark import error:', error);
+        res.status(500).json({ message: 'Failed to import bookmarks' });
+    }
+});
+
+// Get bookmarks route with pagination. smartFolder=<id> lists the bookmarks
+// matching a saved search.
 router.get('/', protect, async (req, res) => {
     try {
         const page = parseInt(req.query.page) || 1;
         const limit = parseInt(req.query.limit) || DEFAULT_PAGE_SIZE;
         const skip = (page - 1) * limit;
 
-        const query = { user: req.user.id };
+        let query = { user: req.user.id };
+        let defaultSort;
+        let snoozeInQuery = false;
+
+        if (req.query.smartFolder) {
+            const savedSearch = await SavedSearch.findOne({
+                _id: req.query.smartFolder,
+                user: req.user.id
+            });
+            if (!savedSearch) {
+                return res.status(404).json({ message: 'Smart folder not found' });
+            }
+            query = buildSavedSearchFilter(req.user.id, savedSearch);
+            defaultSort = parseSort(savedSearch.sort);
+            snoozeInQuery = mentionsSnoozed(savedSearch.query);
+        }
+
+        // Snoozed bookmarks stay out of the listing until their reminder is
+        // due, unless asked for with snoozed=true (only) or snoozed=all, or
+        // the smart folder's query says whether to show them (is:snoozed)
+        if (req.query.snoozed === 'true') {
+            query['reminder.remindAt'] = { $gt: new Date() };
+        } else if (req.query.snoozed !== 'all' && !snoozeInQuery) {
+            query['reminder.remindAt'] = notSnoozedCondition();
+        }
 
         if ('folderId' in req.query) {
             query.folder = req.query.folderId || null;
@@ -127,10 +309,20 @@ router.get('/', protect, async (req, res) => {
             query.category = req.query.category;
         }
 
+        const analysisStatuses = parseAnalysisStatuses(req.query.analysisStatus);
+        if (analysisStatuses.length > 0) {
+            query['analysis.status'] = { $in: analysisStatuses };
+        }
+
+        const readingFilter = buildReadingStatusFilter(req.query.readingStatus);
+        if (readingFilter) {
+            query['reading.status'] = readingFilter;
+        }
+
         const [total, bookmarks] = await Promise.all([
             Bookmark.countDocuments(query),
             Bookmark.find(query)
-                .sort({ createdAt: -1 })
+                .sort(parseSort(req.query.sort, defaultSort))
                 .skip(skip)
                 .limit(limit)
         ]);
@@ -143,48 +335,118 @@ router.get('/', protect, async (req, res) => {
             hasMore: total > skip + bookmarks.length
         });
     } catch (error) {
+        if (error.status === 400) {
+            return res.status(400).json({ message: error.message });
+        }
         console.error('Get bookmarks error:', error);
         res.status(500).json({ message: 'Server error' });
     }
 });
 
-// Search route with pagination
+// Search route with pagination. `query` accepts the search query language,
+// e.g. tag:rust -tag:beginner domain:github.com is:fav "exact phrase".
+// With facets=true the response also counts the whole result set per tag,
+// category, folder, domain, favorite status and creation month.
+// Free text matches the bookmark's fields and its stored page content.
+// mode=semantic ranks by embedding similarity to the free text instead of
+// keyword matches, and mode=hybrid fuses both rankings; either way the field
+// filters still apply and each result carries its scores.
+// Results of a free-text search carry snippets: [{ field, html }], escaped
+// HTML excerpts of the title, description, summary, notes or page content
+// with the matching words and "quoted phrases" wrapped in <mark>.
 router.get('/search', protect, async (req, res) => {
     try {
-        const { tags, query, folderId, favorite, category } = req.query;
         const page = parseInt(req.query.page) || 1;
         const limit = parseInt(req.query.limit) || DEFAULT_PAGE_SIZE;
         const skip = (page - 1) * limit;
 
-        const searchQuery = { user: req.user.id };
-
-        if ('folderId' in req.query) {
-            searchQuery.folder = folderId || null;
+        const mode = req.query.mode || 'text';
+        if (!SEARCH_MODES.includes(mode)) {
+            return res.status(400).json({
+                message: `Invalid search mode. Expected one of: ${SEARCH_MODES.join(', ')}`
+            });
         }
 
-        if (favorite === 'true') {
-            searchQuery.isFavorite = true;
-        }
+        const searchQuery = buildSearchFilter(req.user.id, req.query);
 
-        if (category) {
-            searchQuery.category = category;
+        const { $text, ...filter } = searchQuery;
+        if (mode !== 'text' && !$text) {
+            return res.status(400).json({ message: `A ${mode} search needs search text` });
         }
 
-        if (tags && typeof tags === 'string') {
-            const searchTags = tags.split(',').map(tag => tag.trim()).filter(Boolean);
-            if (searchTags.length > 0) {
-                searchQuery.tags = { $in: searchTags };
-            }
-        }
+        if ($text) {
+            // Keyword matches cover the stored page content too, so results
+            // are ranked here rather than by a single $text query
+            const matches = mode === 'text'
+                ? await keywordSearch(req.user.id, filter, $text.$search)
+                : await (mode === 'semantic' ? semanticSearch : hybridSearch)(req.user, filter, $text.$search);
+            // Keyword search returns every match (semantic rankings stop at
+            // their cap), so the total, sorting and facets cover all of them
+            const matched = { ...filter, _id: { $in: matches.map(match => match.id) } };
+
+            // An explicit sort order replaces the relevance ranking in keyword mode
+            const sort = mode === 'text' && SORT_ORDERS[req.query.sort];
+            const [results, facets] = await Promise.all([
+                sort
+                    ? Bookmark.find(matched).sort(sort).skip(skip).limit(limit)
+                    : loadRankedBookmarks(matches, skip, limit),
+                req.query.facets === 'true'
+                    ? getSearchFacets(matched)
+                    : null
+            ]);
+            const bookmarks = await attachSnippets(results, $text.$search);
 
-        if (query && typeof query === 'string' && query.trim()) {
-            searchQuery.$text = { $search: query.trim() };
+            return res.json({
+                data: bookmarks,
+                total: matches.length,
+                page,
+                limit,
+                hasMore: matches.length > skip + bookmarks.length,
+                ...(facets && { facets })
+            });
         }
 
-        const [total, bookmarks] = await Promise.all([
+        const [total, bookmarks, facets] = await Promise.all([
             Bookmark.countDocuments(searchQuery),
             Bookmark.find(searchQuery)
-                .sort(query ? { score: { $meta: 'textScore' } } : { createdAt: -1 })
+                .sort(parseSort(req.query.sort))
+                .skip(skip)
+                .limit(limit),
+            req.query.facets === 'true' ? getSearchFacets(searchQuery) : null
+        ]);
+
+        res.json({
+            data: bookmarks,
+            total,
+            page,
+            limit,
+            hasMore: total > skip + bookmarks.length,
+            ...(facets && { facets })
+        });
+    } catch (error) {
+        if (error.status === 400) {
+            return res.status(400).json({ message: error.message });
+        }
+        console.error('Search error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   GET /api/bookmarks/continue-reading
+// @desc    Get bookmarks the user has started reading, most recently read first
+// @access  Private
+router.get('/continue-reading', protect, async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || DEFAULT_PAGE_SIZE;
+        const skip = (page - 1) * limit;
+
+        const query = { user: req.user.id, 'reading.status': 'reading' };
+
+        const [total, bookmarks] = await Promise.all([
+            Bookmark.countDocuments(query),
+            Bookmark.find(query)
+                .sort({ 'reading.lastReadAt': -1, updatedAt: -1 })
                 .skip(skip)
                 .limit(limit)
         ]);
@@ -197,98 +459,275 @@ router.get('/search', protect, async (req, res) => {
             hasMore: total > skip + bookmarks.length
         });
     } catch (error) {
-        console.error('Search error:', error);
+        console.error('Continue reading error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   GET /api/bookmarks/due
+// @desc    Get bookmarks whose reminder is due, oldest reminder first
+// @access  Private
+router.get('/due', protect, async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || DEFAULT_PAGE_SIZE;
+        const skip = (page - 1) * limit;
+
+        const query = { user: req.user.id, 'reminder.remindAt': { $ne: null, $lte: new Date() } };
+
+        const [total, bookmarks] = await Promise.all([
+            Bookmark.countDocuments(query),
+            Bookmark.find(query)
+                .sort({ 'reminder.remindAt': 1 })
+                .skip(skip)
+                .limit(limit)
+        ]);
+
+        res.json({
+            data: bookmarks,
+            total,
+            page,
+            limit,
+            hasMore: total > skip + bookmarks.length
+        });
+    } catch (error) {
+        console.error('Get due bookmarks error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   GET /api/bookmarks/export
+// @desc    Stream the library as Netscape HTML, JSON, CSV or a Markdown vault zip
+//          (accepts search filters)
+// @access  Private
+router.get('/export', protect, async (req, res) => {
+    const format = (req.query.format || 'json').toLowerCase();
+    if (!EXPORT_FORMATS[format]) {
+        return res.status(400).json({
+            message: `Invalid export format. Expected one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`
+        });
+    }
+
+    let filter;
+    try {
+        filter = buildSearchFilter(req.user.id, req.query);
+    } catch (error) {
+        return res.status(400).json({ message: error.message });
+    }
+
+    try {
+        await exportBookmarks(res, req.user.id, format, filter);
+    } catch (error) {
+        console.error('Export error:', error);
+        if (res.headersSent) {
+            // Too late for a status code; cut the stream so the client sees a failure
+            return res.destroy(error);
+        }
+        res.status(500).json({ message: 'Failed to export bookmarks' });
+    }
+});
+
+// @route   GET /api/bookmarks/duplicates
+// @desc    Get groups of likely duplicate bookmarks: the same canonical URL
+//          (AMP, mobile and rel=canonical variants) or near-identical content
+// @access  Private
+router.get('/duplicates', protect, async (req, res) => {
+    try {
+        const groups = await findDuplicateGroups(req.user.id);
+        res.json(groups);
+    } catch (error) {
+        console.error('Find duplicates error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   POST /api/bookmarks/merge
+// @desc    Merge duplicates into one bookmark, combining their tags, notes and
+//          favorite status; the others move to the trash (undo via operationId)
+// @access  Private
+router.post('/merge', [
+    protect,
+    body('into').isMongoId().withMessage('The bookmark to merge into is required'),
+    body('ids').isArray({ min: 1 }).withMessage('Bookmarks to merge are required'),
+    body('ids.*').isMongoId().withMessage('Invalid bookmark ID')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const result = await mergeBookmarks(req.user.id, req.body.into, req.body.ids);
+        if (!result) {
+            return res.status(404).json({ message: 'Bookmark not found' });
+        }
+
+        res.json(result);
+    } catch (error) {
+        if (error.status === 400) {
+            return res.status(400).json({ message: error.message });
+        }
+        console.error('Merge bookmarks error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   POST /api/bookmarks/embeddings/backfill
+// @desc    Embed a batch of bookmarks missing an embedding from the user's
+//          current embedder; call again while `remaining` is above zero
+// @access  Private
+router.post('/embeddings/backfill', protect, async (req, res) => {
+    try {
+        const result = await backfillEmbeddings(req.user);
+        res.json(result);
+    } catch (error) {
+        console.error('Embedding backfill error:', error);
         res.status(500).json({ message: 'Server error' });
     }
 });
 
-// Bulk operations route
+// Bulk operations route. The operationId in the response undoes the action;
+// reading and snooze changes aren't in the history, so they don't get one.
 router.post('/bulk', protect, async (req, res) => {
     try {
-        const { action, bookmarkIds, data } = req.body;
+        const { action, bookmarkIds, selector, data = {} } = req.body;
+
+        // Reanalysis can target every failed analysis instead of explicit IDs
+        const selectsFailed = action === 'reanalyze' && selector === 'failed';
 
-        if (!bookmarkIds || !Array.isArray(bookmarkIds) || bookmarkIds.length === 0) {
+        if (!selectsFailed && (!bookmarkIds || !Array.isArray(bookmarkIds) || bookmarkIds.length === 0)) {
             return res.status(400).json({ message: 'No bookmarks selected' });
         }
 
-        // Get all existing tags for the user before bulk operations
-        const existingBookmarks = await Bookmark.find({ user: req.user.id });
-        const existingTags = Array.from(new Set(
-            existingBookmarks.flatMap(bookmark => bookmark.tags || [])
-        ));
+        // Every change the action makes is recorded under one operation so it
+        // can be undone as a unit
+        const operation = startOperation(req.user.id, `bulk:${action}`);
+        const selected = { _id: { $in: bookmarkIds }, user: req.user.id };
+        let undoable = true;
 
         switch (action) {
             case 'move':
                 if (data.folderId === undefined) {
                     return res.status(400).json({ message: 'Folder ID is required' });
                 }
-                await Bookmark.updateMany(
-                    { _id: { $in: bookmarkIds }, user: req.user.id },
-                    { $set: { folder: data.folderId || null } }
-                );
+                await trackedUpdateMany(operation, 'Bookmark', selected, {
+                    $set: { folder: data.folderId || null }
+                });
                 break;
 
-            case 'tag':
+            case 'tag': {
                 if (!data.tags || !Array.isArray(data.tags)) {
                     return res.status(400).json({ message: 'Tags array is required' });
                 }
-                const normalizedNewTags = processTags(data.tags, existingTags);
-                await Bookmark.updateMany(
-                    { _id: { $in: bookmarkIds }, user: req.user.id },
-                    { $set: { tags: normalizedNewTags } }
-                );
+                const { existingTags, ...tagOptions } = await getTagContext(req.user.id);
+                const normalizedNewTags = processTags(data.tags, existingTags, tagOptions);
+                await trackedUpdateMany(operation, 'Bookmark', selected, {
+                    $set: { tags: normalizedNewTags }
+                });
                 break;
+            }
 
             case 'untag':
                 if (!data.tags || !Array.isArray(data.tags)) {
                     return res.status(400).json({ message: 'Tags array is required' });
                 }
-                await Bookmark.updateMany(
-                    { _id: { $in: bookmarkIds }, user: req.user.id },
-                    { $pullAll: { tags: data.tags } }
-                );
+                await trackedUpdateMany(operation, 'Bookmark', selected, {
+                    $pullAll: { tags: data.tags }
+                });
                 break;
 
             case 'delete':
-                await Bookmark.deleteMany({
-                    _id: { $in: bookmarkIds },
-                    user: req.user.id
-                });
+                await trashBookmarks(req.user.id, bookmarkIds, operation);
                 break;
 
             case 'favorite':
                 if (typeof data.isFavorite !== 'boolean') {
                     return res.status(400).json({ message: 'Favorite status is required' });
                 }
-                await Bookmark.updateMany(
-                    { _id: { $in: bookmarkIds }, user: req.user.id },
-                    { $set: { isFavorite: data.isFavorite } }
-                );
+                await trackedUpdateMany(operation, 'Bookmark', selected, {
+                    $set: { isFavorite: data.isFavorite }
+                });
                 break;
 
             case 'category':
                 if (!data.category) {
                     return res.status(400).json({ message: 'Category is required' });
                 }
-                await Bookmark.updateMany(
-                    { _id: { $in: bookmarkIds }, user: req.user.id },
-                    { $set: { category: data.category } }
-                );
+                await trackedUpdateMany(operation, 'Bookmark', selected, {
+                    $set: { category: data.category }
+                });
+                break;
+
+            case 'reading':
+                if (!READING_STATUSES.includes(data.status)) {
+                    return res.status(400).json({
+                        message: `Reading status must be one of: ${READING_STATUSES.join(', ')}`
+                    });
+                }
+                // Reading state is activity rather than an edit, so it isn't
+                // part of the change history (and can't be undone)
+                await Bookmark.updateMany(selected, {
+                    $set: readingStatusUpdate(data.status, new Date())
+                });
+                undoable = false;
+                break;
+
+            case 'snooze': {
+                const remindAt = new Date(data.remindAt);
+                if (!data.remindAt || isNaN(remindAt)) {
+                    return res.status(400).json({ message: 'A valid remind-at time is required' });
+                }
+                const recurrence = data.recurrence || 'none';
+                if (!RECURRENCES.includes(recurrence)) {
+                    return res.status(400).json({
+                        message: `Recurrence must be one of: ${RECURRENCES.join(', ')}`
+                    });
+                }
+                // Reminders aren't part of the change history either
+                await Bookmark.updateMany(selected, {
+                    $set: { reminder: { remindAt, recurrence } }
+                });
+                undoable = false;
                 break;
+            }
+
+            case 'reanalyze': {
+                const user = await User.findById(req.user.id).select('+openAiKey +claudeKey');
+                if (!user.openAiKey && !user.claudeKey) {
+                    return res.status(400).json({
+                        message: 'API key is required. Please add it in your account settings.'
+                    });
+                }
+                const bookmarks = selectsFailed
+                    ? await findFailedAnalyses(req.user.id)
+                    : await Bookmark.find({ _id: { $in: bookmarkIds }, user: req.user.id });
+                const result = await queueReanalysis(bookmarks, { keepTags: !!data.keepTags });
+                return res.status(202).json({
+                    message: 'Reanalysis queued',
+                    queuedCount: result.queued.length,
+                    skippedCount: result.skipped.length,
+                    ...result
+                });
+            }
 
             default:
                 return res.status(400).json({ message: 'Invalid bulk action' });
         }
 
-        res.json({ message: 'Bulk operation completed successfully' });
+        res.json({
+            message: 'Bulk operation completed successfully',
+            ...(undoable && { operationId: operation.id })
+        });
     } catch (error) {
         console.error('Bulk operation failed:', error);
         res.status(500).json({ message: 'Failed to perform bulk operation' });
     }
 });
 
-// Update bookmark route
-router.put('/:id', protect, async (req, res) => {
+// @route   POST /api/bookmarks/:id/reanalyze
+// @desc    Re-fetch and re-analyze a bookmark with the user's current provider
+// @access  Private
+router.post('/:id/reanalyze', protect, async (req, res) => {
     try {
         const bookmark = await Bookmark.findOne({
             _id: req.params.id,
@@ -299,31 +738,47 @@ router.put('/:id', protect, async (req, res) => {
             return res.status(404).json({ message: 'Bookmark not found' });
         }
 
-        const { folder, tags, isFavorite, category } = req.body;
+        const user = await User.findById(req.user.id).select('+openAiKey +claudeKey');
+        if (!user.openAiKey && !user.claudeKey) {
+            return res.status(400).json({
+                message: 'API key is required. Please add it in your account settings.'
+            });
+        }
 
-        if (folder !== undefined) bookmark.folder = folder;
-        if (tags !== undefined) {
-            const existingBookmarks = await Bookmark.find({ user: req.user.id });
-            const existingTags = Array.from(new Set(
-                existingBookmarks.flatMap(b => b.tags || [])
-            ));
-            bookmark.tags = processTags(tags, existingTags);
+        const { queued } = await queueReanalysis([bookmark], { keepTags: !!req.body.keepTags });
+        if (queued.length === 0) {
+            return res.status(409).json({ message: 'This bookmark is already being analyzed' });
         }
-        if (isFavorite !== undefined) bookmark.isFavorite = isFavorite;
-        if (category !== undefined) bookmark.category = category;
 
-        await bookmark.save();
-        res.json(bookmark);
+        res.status(202).json({
+            jobId: queued[0].jobId,
+            status: 'pending'
+        });
     } catch (error) {
-        console.error('Update bookmark error:', error);
+        console.error('Reanalyze bookmark error:', error);
         res.status(500).json({ message: 'Server error' });
     }
 });
 
-// Delete bookmark route
-router.delete('/:id', protect, async (req, res) => {
+const highlightValidators = [
+    body('comment').optional().isString().withMessage('Comment must be a string'),
+    body('color').optional().isString().withMessage('Color must be a string'),
+    body('anchor.start').optional().isInt({ min: 0 }).withMessage('Anchor start must be a non-negative integer'),
+    body('anchor.end').optional().isInt({ min: 0 }).withMessage('Anchor end must be a non-negative integer'),
+    body('anchor').optional().custom(anchor => {
+        if (anchor.start !== undefined && anchor.end !== undefined && anchor.end < anchor.start) {
+            throw new Error('Anchor end must not be before its start');
+        }
+        return true;
+    })
+];
+
+// @route   GET /api/bookmarks/:id/highlights
+// @desc    Get a bookmark's highlights in reading order
+// @access  Private
+router.get('/:id/highlights', protect, async (req, res) => {
     try {
-        const bookmark = await Bookmark.findOneAndDelete({
+        const bookmark = await Bookmark.findOne({
             _id: req.params.id,
             user: req.user.id
         });
@@ -332,58 +787,543 @@ router.delete('/:id', protect, async (req, res) => {
             return res.status(404).json({ message: 'Bookmark not found' });
         }
 
-        res.json({ message: 'Bookmark removed' });
+        const highlights = await Highlight.find({ bookmark: bookmark._id })
+            .sort({ 'anchor.start': 1, createdAt: 1 });
+
+        res.json(highlights);
     } catch (error) {
-        console.error('Delete bookmark error:', error);
+        console.error('Get highlights error:', error);
         res.status(500).json({ message: 'Server error' });
     }
 });
 
-// Stats route
-router.get('/stats', protect, async (req, res) => {
+// @route   POST /api/bookmarks/:id/highlights
+// @desc    Add a highlight to a bookmark
+// @access  Private
+router.post('/:id/highlights', [
+    protect,
+    body('text').isString().trim().notEmpty().withMessage('Highlighted text is required'),
+    ...highlightValidators
+], async (req, res) => {
     try {
-        const totalBookmarks = await Bookmark.countDocuments({ user: req.user.id });
-        const bookmarks = await Bookmark.find({ user: req.user.id });
-        const uniqueTags = new Set();
-        bookmarks.forEach(bookmark => {
-            if (bookmark.tags) {
-                bookmark.tags.forEach(tag => uniqueTags.add(tag));
-            }
-        });
-        const tagsCount = uniqueTags.size;
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
 
-        res.json({
-            totalBookmarks,
-            tagsCount
+        const bookmark = await Bookmark.findOne({
+            _id: req.params.id,
+            user: req.user.id
+        });
+
+        if (!bookmark) {
+            return res.status(404).json({ message: 'Bookmark not found' });
+        }
+
+        const { text, comment, color, anchor } = req.body;
+
+        const highlight = await Highlight.create({
+            bookmark: bookmark._id,
+            user: req.user.id,
+            text,
+            comment,
+            color,
+            anchor
         });
+
+        res.status(201).json(highlight);
     } catch (error) {
-        console.error('Stats error:', error);
+        console.error('Create highlight error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   PUT /api/bookmarks/:id/highlights/:highlightId
+// @desc    Update a highlight's comment, color or anchor
+// @access  Private
+router.put('/:id/highlights/:highlightId', [
+    protect,
+    body('text').optional().isString().trim().notEmpty().withMessage('Highlighted text cannot be empty'),
+    ...highlightValidators
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const highlight = await Highlight.findOne({
+            _id: req.params.highlightId,
+            bookmark: req.params.id,
+            user: req.user.id
+        });
+
+        if (!highlight) {
+            return res.status(404).json({ message: 'Highlight not found' });
+        }
+
+        const { text, comment, color, anchor } = req.body;
+
+        if (text !== undefined) highlight.text = text;
+        if (comment !== undefined) highlight.comment = comment;
+        if (color !== undefined) highlight.color = color;
+        if (anchor !== undefined) highlight.anchor = anchor;
+
+        await highlight.save();
+        res.json(highlight);
+    } catch (error) {
+        console.error('Update highlight error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   DELETE /api/bookmarks/:id/highlights/:highlightId
+// @desc    Delete a highlight
+// @access  Private
+router.delete('/:id/highlights/:highlightId', protect, async (req, res) => {
+    try {
+        const highlight = await Highlight.findOneAndDelete({
+            _id: req.params.highlightId,
+            bookmark: req.params.id,
+            user: req.user.id
+        });
+
+        if (!highlight) {
+            return res.status(404).json({ message: 'Highlight not found' });
+        }
+
+        res.json({ message: 'Highlight removed' });
+    } catch (error) {
+        console.error('Delete highlight error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Update bookmark route
+// Editing title, description or aiSummary marks the field as overridden so
+// reanalysis leaves it alone; sending null for one of them releases it.
+router.put('/:id', [
+    protect,
+    body('title').optional({ values: 'null' }).isString().withMessage('Title must be a string'),
+    body('description').optional({ values: 'null' }).isString().withMessage('Description must be a string'),
+    body('aiSummary').optional({ values: 'null' }).isString().withMessage('Summary must be a string'),
+    body('notes').optional().isString().withMessage('Notes must be a string')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const bookmark = await Bookmark.findOne({
+            _id: req.params.id,
+            user: req.user.id
+        });
+
+        if (!bookmark) {
+            return res.status(404).json({ message: 'Bookmark not found' });
+        }
+
+        const { folder, tags, isFavorite, category, notes } = req.body;
+        const before = snapshot('Bookmark', bookmark);
+
+        if (folder !== undefined) bookmark.folder = folder;
+        if (tags !== undefined) {
+            const { existingTags, ...tagOptions } = await getTagContext(req.user.id);
+            bookmark.tags = processTags(tags, existingTags, tagOptions);
+        }
+        if (isFavorite !== undefined) bookmark.isFavorite = isFavorite;
+        if (category !== undefined) bookmark.category = category;
+        if (notes !== undefined) bookmark.notes = notes;
+
+        for (const field of OVERRIDABLE_FIELDS) {
+            if (req.body[field] === null) {
+                bookmark.overrides[field] = false;
+            } else if (req.body[field] !== undefined) {
+                bookmark[field] = req.body[field];
+                bookmark.overrides[field] = true;
+            }
+        }
+
+        await bookmark.save();
+        await recordChange(startOperation(req.user.id, 'update'), 'Bookmark', bookmark, before);
+        res.json(bookmark);
+    } catch (error) {
+        console.error('Update bookmark error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   PUT /api/bookmarks/:id/reading
+// @desc    Update a bookmark's reading status and/or progress (0-100). Without
+//          an explicit status, progress moves it to reading, or read at 100.
+// @access  Private
+router.put('/:id/reading', [
+    protect,
+    body('status').optional().isIn(READING_STATUSES)
+        .withMessage(`Status must be one of: ${READING_STATUSES.join(', ')}`),
+    body('progress').optional().isFloat({ min: 0, max: 100 })
+        .withMessage('Progress must be a number between 0 and 100')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { status, progress } = req.body;
+        if (status === undefined && progress === undefined) {
+            return res.status(400).json({ message: 'Status or progress is required' });
+        }
+
+        const now = new Date();
+        let update = {};
+
+        if (progress !== undefined) {
+            const percent = Number(progress);
+            update['reading.progress'] = percent;
+            update['reading.lastReadAt'] = now;
+            if (status === undefined && percent >= 100) {
+                update = { ...update, ...readingStatusUpdate('read', now) };
+            } else if (status === undefined && percent > 0) {
+                update['reading.status'] = 'reading';
+                update['reading.finishedAt'] = null;
+            }
+        }
+        if (status !== undefined) {
+            update = { ...update, ...readingStatusUpdate(status, now) };
+            // A reported position wins over the status default
+            if (progress !== undefined) update['reading.progress'] = Number(progress);
+        }
+
+        const bookmark = await Bookmark.findOneAndUpdate(
+            { _id: req.params.id, user: req.user.id },
+            { $set: update },
+            { new: true, runValidators: true }
+        );
+
+        if (!bookmark) {
+            return res.status(404).json({ message: 'Bookmark not found' });
+        }
+
+        res.json(bookmark);
+    } catch (error) {
+        console.error('Update reading state error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   PUT /api/bookmarks/:id/reminder
+// @desc    Snooze a bookmark until remindAt, optionally repeating
+//          daily, weekly or monthly
+// @access  Private
+router.put('/:id/reminder', [
+    protect,
+    body('remindAt').isISO8601().withMessage('Remind-at must be a valid date'),
+    body('recurrence').optional().isIn(RECURRENCES)
+        .withMessage(`Recurrence must be one of: ${RECURRENCES.join(', ')}`)
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const bookmark = await Bookmark.findOneAndUpdate(
+            { _id: req.params.id, user: req.user.id },
+            {
+                $set: {
+                    reminder: {
+                        remindAt: new Date(req.body.remindAt),
+                        recurrence: req.body.recurrence || 'none'
+                    }
+                }
+            },
+            { new: true }
+        );
+
+        if (!bookmark) {
+            return res.status(404).json({ message: 'Bookmark not found' });
+        }
+
+        res.json(bookmark);
+    } catch (error) {
+        console.error('Set reminder error:', error);
         res.status(500).json({ message: 'Server error' });
     }
 });
 
-// Tags route
-router.get('/tags', protect, async (req, res) => {
+// @route   POST /api/bookmarks/:id/reminder/dismiss
+// @desc    Dismiss a due reminder; recurring reminders move on to their next time
+// @access  Private
+router.post('/:id/reminder/dismiss', protect, async (req, res) => {
     try {
+        const bookmark = await Bookmark.findOne({
+            _id: req.params.id,
+            user: req.user.id
+        });
+
+        if (!bookmark) {
+            return res.status(404).json({ message: 'Bookmark not found' });
+        }
+
+        const { remindAt, recurrence } = bookmark.reminder;
+        const now = new Date();
+        if (!remindAt || remindAt > now) {
+            return res.status(400).json({ message: 'This bookmark has no due reminder' });
+        }
+
+        const next = nextOccurrence(remindAt, recurrence, now);
+        bookmark.reminder = next
+            ? { remindAt: next, recurrence }
+            : { remindAt: null, recurrence: 'none' };
+
+        await bookmark.save();
+        res.json(bookmark);
+    } catch (error) {
+        console.error('Dismiss reminder error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   DELETE /api/bookmarks/:id/reminder
+// @desc    Cancel a bookmark's reminder
+// @access  Private
+router.delete('/:id/reminder', protect, async (req, res) => {
+    try {
+        const bookmark = await Bookmark.findOneAndUpdate(
+            { _id: req.params.id, user: req.user.id },
+            { $set: { reminder: { remindAt: null, recurrence: 'none' } } },
+            { new: true }
+        );
+
+        if (!bookmark) {
+            return res.status(404).json({ message: 'Bookmark not found' });
+        }
+
+        res.json(bookmark);
+    } catch (error) {
+        console.error('Cancel reminder error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   POST /api/bookmarks/:id/link-token
+// @desc    Get a short-lived token for the bookmark's visit and reader page
+//          links, to pass as ?token= where the browser can't send headers
+// @access  Private
+router.post('/:id/link-token', protect, async (req, res) => {
+    try {
+        const bookmark = await Bookmark.exists({
+            _id: req.params.id,
+            user: req.user.id
+        });
+
+        if (!bookmark) {
+            return res.status(404).json({ message: 'Bookmark not found' });
+        }
+
+        res.json(createLinkToken(req.user.id, req.params.id));
+    } catch (error) {
+        console.error('Create link token error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   GET /api/bookmarks/:id/visit
+// @desc    Record a visit and redirect to the bookmarked page. Browsers can't
+//          send headers when following a link, so a link token may be given
+//          as ?token=
+// @access  Private
+router.get('/:id/visit', protectLink, async (req, res) => {
+    try {
+        const bookmark = await Bookmark.findOne({
+            _id: req.params.id,
+            user: req.user.id
+        });
+
+        if (!bookmark) {
+            return res.status(404).json({ message: 'Bookmark not found' });
+        }
+
+        await recordVisit(bookmark);
+
+        // Keep the token in our URL from leaking to the visited site
+        res.set('Referrer-Policy', 'no-referrer');
+        res.redirect(/^https?:\/\//i.test(bookmark.url) ? bookmark.url : `https://${bookmark.url}`);
+    } catch (error) {
+        console.error('Visit bookmark error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   GET /api/bookmarks/:id/visits
+// @desc    Get a bookmark's visit counts per day (?days=, default 30)
+// @access  Private
+router.get('/:id/visits', protect, async (req, res) => {
+    try {
+        const bookmark = await Bookmark.findOne({
+            _id: req.params.id,
+            user: req.user.id
+        });
+
+        if (!bookmark) {
+            return res.status(404).json({ message: 'Bookmark not found' });
+        }
+
+        const days = Math.min(parseInt(req.query.days) || DEFAULT_TREND_DAYS, MAX_TREND_DAYS);
+
+        res.json({
+            clickCount: bookmark.clickCount,
+            lastVisitedAt: bookmark.lastVisitedAt,
+            daily: await getBookmarkVisits(bookmark._id, days)
+        });
+    } catch (error) {
+        console.error('Get bookmark visits error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   GET /api/bookmarks/:id/content
+// @desc    Get the stored readable content of a bookmark, as JSON or, with
+//          format=html, as a standalone reader page (accepts a link token as
+//          ?token= so the page can be opened directly)
+// @access  Private
+router.get('/:id/content', protectLink, async (req, res) => {
+    try {
+        const bookmark = await Bookmark.findOne({
+            _id: req.params.id,
+            user: req.user.id
+        });
+
+        if (!bookmark) {
+            return res.status(404).json({ message: 'Bookmark not found' });
+        }
+
+        const content = await getContent(bookmark._id);
+        if (!content) {
+            return res.status(404).json({ message: 'No content has been stored for this bookmark yet' });
+        }
+
+        if (req.query.format === 'html') {
+            // The page links out to the source; keep the token in our URL to
+            // ourselves, and never run anything from the stored content
+            res.set('Referrer-Policy', 'no-referrer');
+            res.set('Content-Security-Policy', "default-src 'none'; style-src 'unsafe-inline'");
+            return res.type('html').send(renderReaderPage(content, bookmark));
+        }
+
+        res.json({
+            bookmark: bookmark._id,
+            url: content.url,
+            title: bookmark.title || content.title,
+            text: content.text,
+            blocks: content.blocks,
+            wordCount: bookmark.wordCount,
+            readingTime: bookmark.readingTime,
+            contentHash: content.contentHash,
+            fetchedAt: content.fetchedAt,
+            changedAt: content.changedAt
+        });
+    } catch (error) {
+        console.error('Get bookmark content error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   GET /api/bookmarks/:id/related
+// @desc    Get the user's other bookmarks most related to this one (?limit=,
+//          default 10), each with the reasons it matched
+// @access  Private
+router.get('/:id/related', protect, async (req, res) => {
+    try {
+        const bookmark = await Bookmark.findOne({
+            _id: req.params.id,
+            user: req.user.id
+        });
+
+        if (!bookmark) {
+            return res.status(404).json({ message: 'Bookmark not found' });
+        }
+
+        const limit = Math.min(parseInt(req.query.limit) || DEFAULT_RELATED_LIMIT, MAX_RELATED_LIMIT);
+
+        res.json(await findRelated(bookmark, { limit }));
+    } catch (error) {
+        console.error('Get related bookmarks error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   GET /api/bookmarks/:id/history
+// @desc    Get the change history of a bookmark, newest first
+// @access  Private
+router.get('/:id/history', protect, async (req, res) => {
+    try {
+        const bookmark = await Bookmark.findOne({
+            _id: req.params.id,
+            user: req.user.id
+        }).setOptions({ withDeleted: true });
+
+        if (!bookmark) {
+            return res.status(404).json({ message: 'Bookmark not found' });
+        }
+
+        const changes = await Change.find({ user: req.user.id, entity: bookmark._id })
+            .sort({ createdAt: -1 });
+
+        res.json(changes);
+    } catch (error) {
+        console.error('Get bookmark history error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Delete bookmark route (moves it to the trash)
+router.delete('/:id', protect, async (req, res) => {
+    try {
+        const trashed = await trashBookmarks(req.user.id, [req.params.id]);
+
+        if (!trashed) {
+            return res.status(404).json({ message: 'Bookmark not found' });
+        }
+
+        res.json({ message: 'Bookmark moved to trash' });
+    } catch (error) {
+        console.error('Delete bookmark error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Stats route
+router.get('/stats', protect, async (req, res) => {
+    try {
+        const totalBookmarks = await Bookmark.countDocuments({ user: req.user.id });
         const bookmarks = await Bookmark.find({ user: req.user.id });
-        const tagCounts = {};
-        
+        const uniqueTags = new Set();
         bookmarks.forEach(bookmark => {
             if (bookmark.tags) {
-                bookmark.tags.forEach(tag => {
-                    tagCounts[tag] = (tagCounts[tag] || 0) + 1;
-                });
+                bookmark.tags.forEach(tag => uniqueTags.add(tag));
             }
         });
+        const tagsCount = uniqueTags.size;
+
+        const reading = Object.fromEntries(READING_STATUSES.map(status => [status, 0]));
+        bookmarks.forEach(bookmark => {
+            reading[bookmark.reading.status]++;
+        });
 
-        const tags = Object.entries(tagCounts).map(([name, count]) => ({
-            name,
-            count
-        })).sort((a, b) => b.count - a.count);
+        const days = Math.min(parseInt(req.query.days) || DEFAULT_TREND_DAYS, MAX_TREND_DAYS);
+        const visits = await getVisitTrends(req.user.id, days);
 
-        res.json(tags);
+        res.json({
+            totalBookmarks,
+            tagsCount,
+            reading,
+            visits
+        });
     } catch (error) {
-        console.error('Failed to fetch tags:', error);
+        console.error('Stats error:', error);
         res.status(500).json({ message: 'Server error' });
     }
 });
@@ -3,6 +3,13 @@ const router = express.Router();
 const { Configuration, OpenAIApi } = require('openai');
 const { protect } = require('../middleware/auth');
 const Bookmark = require('../models/Bookmark');
+const Highlight = require('../models/Highlight');
+const { getContentExcerpts } = require('../services/content');
+const { keywordSearch } = require('../services/textSearch');
+
+// Bookmarks whose stored content best matches the message join the recent ones
+const RELEVANT_BOOKMARKS_LIMIT = 5;
+const EXCERPT_LENGTH = 400;
 
 const createOpenAIClient = (apiKey) => {
     if (!apiKey) {
@@ -22,6 +29,41 @@ async function getRecentBookmarks(userId) {
         .limit(10);
 }
 
+// Helper function to get the bookmarks whose fields or stored page content
+// match the message
+async function getRelevantBookmarks(userId, message) {
+    const matches = await keywordSearch(userId, { user: userId }, message, { limit: RELEVANT_BOOKMARKS_LIMIT });
+    const ids = matches.map(match => match.id);
+    const bookmarks = await Bookmark.find({ _id: { $in: ids } }).select('title url tags category');
+    const byId = new Map(bookmarks.map(bookmark => [bookmark._id.toString(), bookmark]));
+    return ids.map(id => byId.get(id.toString())).filter(Boolean);
+}
+
+// Helper function to get highlights for the given bookmarks, grouped by bookmark ID
+async function getHighlightsByBookmark(bookmarks) {
+    const highlights = await Highlight.find({ bookmark: { $in: bookmarks.map(b => b._id) } })
+        .select('bookmark text comment')
+        .sort({ 'anchor.start': 1 })
+        .limit(50);
+
+    const grouped = new Map();
+    highlights.forEach(highlight => {
+        const key = highlight.bookmark.toString();
+        if (!grouped.has(key)) grouped.set(key, []);
+        grouped.get(key).push(highlight);
+    });
+    return grouped;
+}
+
+// Formats a bookmark, its highlights and the start of its stored content for
+// the system prompt
+function formatBookmarkContext(bookmark, highlights = [], excerpt = '') {
+    const tags = bookmark.tags.length > 0 ? '#' + bookmark.tags.join(' #') : '';
+    const quotes = highlights.map(h => `\n  > "${h.text}"${h.comment ? ` (note: ${h.comment})` : ''}`);
+    const content = excerpt ? `\n  Content: ${excerpt.replace(/\s+/g, ' ').trim()}...` : '';
+    return `[${bookmark.title}](${bookmark.url}) ${tags}${quotes.join('')}${content}`;
+}
+
 // Add auth protection to chat route
 router.post('/chat', protect, async (req, res) => {
     try {
@@ -44,8 +86,19 @@ router.post('/chat', protect, async (req, res) => {
             });
         }
 
-        // Get recent bookmarks
-        const recentBookmarks = await getRecentBookmarks(req.user.id);
+        // Get the bookmarks relevant to the message plus the recent ones, the
+        // passages the user highlighted in them and what their pages say
+        const [relevantBookmarks, recentBookmarks] = await Promise.all([
+            getRelevantBookmarks(req.user.id, message.trim()),
+            getRecentBookmarks(req.user.id)
+        ]);
+        const contextBookmarks = [...relevantBookmarks, ...recentBookmarks].filter((bookmark, index, all) =>
+            all.findIndex(other => other._id.equals(bookmark._id)) === index
+        );
+        const [highlightsByBookmark, excerpts] = await Promise.all([
+            getHighlightsByBookmark(contextBookmarks),
+            getContentExcerpts(contextBookmarks.map(b => b._id), EXCERPT_LENGTH)
+        ]);
 
         const systemPrompt = `You are a helpful assistant that provides brief information about bookmarks. When responding:
 
@@ -54,8 +107,12 @@ router.post('/chat', protect, async (req, res) => {
 3. Include relevant tags as hashtags after the link
 4. Limit responses to 1-2 lines plus the bookmark links
 
-Available bookmarks:
-${recentBookmarks.map(b => `[${b.title}](${b.url}) ${b.tags.length > 0 ? '#' + b.tags.join(' #') : ''}`).join('\n')}`;
+Available bookmarks (with the user's highlights quoted below each, and the start of the saved page content):
+${contextBookmarks.map(b => formatBookmarkContext(
+    b,
+    highlightsByBookmark.get(b._id.toString()),
+    excerpts.get(b._id.toString())
+)).join('\n')}`;
 
         const openai = createOpenAIClient(apiKey);
 
@@ -0,0 +1,44 @@
+const express = require('express');
+const { cronAuth } = require('../middleware/auth');
+const { processDueJobs } = require('../services/ingestion');
+const { purgeExpired } = require('../services/trash');
+const router = express.Router();
+
+// The function is stopped at 60s, and a job (page fetch, up to three LLM
+// calls and an embedding) takes 10-20s. Jobs run a few at a time and none is
+// started after the time budget, leaving the last ones room to finish.
+const INGESTION_JOBS_PER_RUN = 50;
+const INGESTION_CONCURRENCY = 5;
+const INGESTION_TIME_BUDGET_MS = 35 * 1000;
+
+// @route   GET /cron/ingestion
+// @desc    Process due bookmark ingestion jobs (retries and import batches)
+// @access  Cron
+router.get('/ingestion', cronAuth, async (req, res) => {
+    try {
+        const processed = await processDueJobs(INGESTION_JOBS_PER_RUN, {
+            concurrency: INGESTION_CONCURRENCY,
+            deadline: Date.now() + INGESTION_TIME_BUDGET_MS
+        });
+        res.json({ processed });
+    } catch (error) {
+        console.error('Ingestion cron failed:', error);
+        res.status(500).json({ message: 'Failed to process ingestion jobs' });
+    }
+});
+
+// @route   GET /cron/purge-trash
+// @desc    Permanently delete items past the trash retention period
+// @access  Cron
+router.get('/purge-trash', cronAuth, async (req, res) => {
+    try {
+        const purged = await purgeExpired();
+        console.log('Trash purge completed:', purged);
+        res.json({ purged });
+    } catch (error) {
+        console.error('Trash purge cron failed:', error);
+        res.status(500).json({ message: 'Failed to purge trash' });
+    }
+});
+
+module.exports = router;
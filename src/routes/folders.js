@@ -3,9 +3,16 @@ const { body, validationResult } = require('express-validator');
 const { protect } = require('../middleware/auth');
 const Folder = require('../models/Folder');
 const Bookmark = require('../models/Bookmark');
+const SavedSearch = require('../models/SavedSearch');
+const { trashFolder } = require('../services/trash');
+const { withBookmarkCounts } = require('../services/savedSearches');
+const { startOperation, snapshot, recordChange, recordCreate } = require('../services/history');
 const mongoose = require('mongoose');
+const smartFolderRoutes = require('./smartFolders');
 const router = express.Router();
 
+router.use('/smart', smartFolderRoutes);
+
 // @route   POST /api/folders
 // @desc    Create a new folder
 // @access  Private
@@ -29,6 +36,7 @@ router.post('/', [
             icon,
             user: req.user.id
         });
+        await recordCreate(startOperation(req.user.id, 'folder:create'), 'Folder', [folder]);
 
         res.status(201).json(folder);
     } catch (error) {
@@ -38,7 +46,8 @@ router.post('/', [
 });
 
 // @route   GET /api/folders
-// @desc    Get all folders for a user
+// @desc    Get all folders for a user, followed by their smart folders
+//          (isSmart: true) with live bookmark counts
 // @access  Private
 router.get('/', protect, async (req, res) => {
     try {
@@ -94,7 +103,10 @@ router.get('/', protect, async (req, res) => {
 
         console.log('Final folder tree:', JSON.stringify(folderTree, null, 2));
 
-        res.json(folderTree);
+        const savedSearches = await SavedSearch.find({ user: req.user.id }).sort({ name: 1 });
+        const smartFolders = await withBookmarkCounts(req.user.id, savedSearches);
+
+        res.json([...folderTree, ...smartFolders]);
     } catch (error) {
         console.error('Error fetching folders:', error);
         res.status(500).json({ message: 'Failed to fetch folders' });
@@ -130,6 +142,7 @@ router.put('/:id', [
             return res.status(400).json({ message: 'Folder cannot be its own parent' });
         }
 
+        const before = snapshot('Folder', folder);
         folder.name = name;
         folder.description = description;
         folder.parent = parent;
@@ -137,6 +150,7 @@ router.put('/:id', [
         folder.icon = icon;
 
         await folder.save();
+        await recordChange(startOperation(req.user.id, 'folder:update'), 'Folder', folder, before);
 
         res.json(folder);
     } catch (error) {
@@ -146,7 +160,7 @@ router.put('/:id', [
 });
 
 // @route   DELETE /api/folders/:id
-// @desc    Delete a folder
+// @desc    Move a folder to the trash
 // @access  Private
 router.delete('/:id', protect, async (req, res) => {
     try {
@@ -159,21 +173,10 @@ router.delete('/:id', protect, async (req, res) => {
             return res.status(404).json({ message: 'Folder not found' });
         }
 
-        // Move all bookmarks in this folder to root (null folder)
-        await Bookmark.updateMany(
-            { folder: folder._id },
-            { $set: { folder: null } }
-        );
-
-        // Move all subfolders to root
-        await Folder.updateMany(
-            { parent: folder._id },
-            { $set: { parent: null } }
-        );
-
-        await folder.deleteOne();
+        // Bookmarks and subfolders move to root until the folder is restored
+        await trashFolder(folder);
 
-        res.json({ message: 'Folder removed' });
+        res.json({ message: 'Folder moved to trash' });
     } catch (error) {
         console.error('Folder deletion failed:', error);
         res.status(500).json({ message: 'Failed to delete folder' });
@@ -0,0 +1,77 @@
+const express = require('express');
+const { protect } = require('../middleware/auth');
+const Bookmark = require('../models/Bookmark');
+const Highlight = require('../models/Highlight');
+const { tagMatchCondition } = require('../utils/tagHierarchy');
+const router = express.Router();
+
+const DEFAULT_PAGE_SIZE = 24;
+
+// @route   GET /api/highlights
+// @desc    Get a feed of highlights across the library, newest first
+//          (filter by query, tag, bookmarkId or color)
+// @access  Private
+router.get('/', protect, async (req, res) => {
+    try {
+        const { query, tag, bookmarkId, color } = req.query;
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || DEFAULT_PAGE_SIZE;
+        const skip = (page - 1) * limit;
+
+        // Highlights on trashed bookmarks stay hidden along with the bookmark
+        const trashedIds = await Bookmark.distinct('_id', {
+            user: req.user.id,
+            deletedAt: { $ne: null }
+        });
+        const searchQuery = { user: req.user.id };
+        if (trashedIds.length > 0) {
+            searchQuery.$and = [{ bookmark: { $nin: trashedIds } }];
+        }
+
+        if (bookmarkId) {
+            searchQuery.bookmark = bookmarkId;
+        }
+
+        if (color) {
+            searchQuery.color = color;
+        }
+
+        // Highlights are filtered by the tags of the bookmark they belong to
+        if (tag && typeof tag === 'string') {
+            const tags = tag.split(',').map(t => t.trim()).filter(Boolean);
+            const bookmarkIds = await Bookmark.distinct('_id', {
+                user: req.user.id,
+                tags: tagMatchCondition(tags)
+            });
+            searchQuery.bookmark = bookmarkId
+                ? { $in: bookmarkIds.filter(id => id.toString() === bookmarkId) }
+                : { $in: bookmarkIds };
+        }
+
+        if (query && typeof query === 'string' && query.trim()) {
+            searchQuery.$text = { $search: query.trim() };
+        }
+
+        const [total, highlights] = await Promise.all([
+            Highlight.countDocuments(searchQuery),
+            Highlight.find(searchQuery)
+                .sort(query ? { score: { $meta: 'textScore' } } : { createdAt: -1 })
+                .skip(skip)
+                .limit(limit)
+                .populate('bookmark', 'title url tags category')
+        ]);
+
+        res.json({
+            data: highlights,
+            total,
+            page,
+            limit,
+            hasMore: total > skip + highlights.length
+        });
+    } catch (error) {
+        console.error('Get highlights feed error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,106 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { protect } = require('../middleware/auth');
+const Change = require('../models/Change');
+const { undoChange, undoOperation } = require('../services/history');
+const router = express.Router();
+
+const DEFAULT_PAGE_SIZE = 50;
+
+// @route   GET /api/history
+// @desc    Get the user's change history, newest first
+//          (filter with entityType, entity or operation)
+// @access  Private
+router.get('/', protect, async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || DEFAULT_PAGE_SIZE;
+        const skip = (page - 1) * limit;
+
+        const query = { user: req.user.id };
+
+        if (req.query.entityType) {
+            query.entityType = req.query.entityType;
+        }
+
+        for (const field of ['entity', 'operation']) {
+            if (req.query[field]) {
+                if (!mongoose.Types.ObjectId.isValid(req.query[field])) {
+                    return res.status(400).json({ message: `Invalid ${field} ID` });
+                }
+                query[field] = req.query[field];
+            }
+        }
+
+        const [total, changes] = await Promise.all([
+            Change.countDocuments(query),
+            Change.find(query)
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(limit)
+        ]);
+
+        res.json({
+            data: changes,
+            total,
+            page,
+            limit,
+            hasMore: total > skip + changes.length
+        });
+    } catch (error) {
+        console.error('Get history error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   POST /api/history/operations/:operationId/undo
+// @desc    Undo every change made by an operation, such as a bulk action
+// @access  Private
+router.post('/operations/:operationId/undo', protect, async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.operationId)) {
+            return res.status(404).json({ message: 'Operation not found' });
+        }
+
+        const result = await undoOperation(req.user.id, req.params.operationId);
+
+        if (!result) {
+            return res.status(404).json({ message: 'Operation not found' });
+        }
+
+        res.json(result);
+    } catch (error) {
+        if (error.status === 409) {
+            return res.status(409).json({ message: error.message });
+        }
+        console.error('Undo operation error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   POST /api/history/:changeId/undo
+// @desc    Undo a single change
+// @access  Private
+router.post('/:changeId/undo', protect, async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.changeId)) {
+            return res.status(404).json({ message: 'Change not found' });
+        }
+
+        const result = await undoChange(req.user.id, req.params.changeId);
+
+        if (!result) {
+            return res.status(404).json({ message: 'Change not found' });
+        }
+
+        res.json(result);
+    } catch (error) {
+        if (error.status === 409) {
+            return res.status(409).json({ message: error.message });
+        }
+        console.error('Undo change error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,140 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { protect } = require('../middleware/auth');
+const SavedSearch = require('../models/SavedSearch');
+const { withBookmarkCounts } = require('../services/savedSearches');
+const { compileQuery } = require('../utils/queryLanguage');
+const { SORT_ORDERS } = require('../utils/searchQuery');
+const router = express.Router();
+
+// Mounted under /folders/smart. A smart folder's bookmarks are listed with
+// GET /api/bookmarks?smartFolder=<id>.
+
+const validateQuery = (query) => {
+    // Throws a syntax error with the position of the problem
+    compileQuery(query);
+    return true;
+};
+
+const smartFolderValidators = (optional) => {
+    const field = (name) => (optional ? body(name).optional() : body(name));
+    return [
+        field('name').isString().trim().notEmpty().withMessage('Smart folder name is required'),
+        field('query').isString().trim().notEmpty().withMessage('Search query is required')
+            .bail()
+            .custom(validateQuery),
+        body('sort').optional({ values: 'null' }).isIn(Object.keys(SORT_ORDERS))
+            .withMessage(`Sort must be one of: ${Object.keys(SORT_ORDERS).join(', ')}`),
+        body('color').optional().isString().withMessage('Color must be a string'),
+        body('icon').optional().isString().withMessage('Icon must be a string')
+    ];
+};
+
+// @route   POST /api/folders/smart
+// @desc    Save a search as a smart folder
+// @access  Private
+router.post('/', [protect, ...smartFolderValidators(false)], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { name, query, sort, color, icon } = req.body;
+
+        const savedSearch = await SavedSearch.create({
+            name,
+            query,
+            sort,
+            color,
+            icon,
+            user: req.user.id
+        });
+
+        const [smartFolder] = await withBookmarkCounts(req.user.id, [savedSearch]);
+        res.status(201).json(smartFolder);
+    } catch (error) {
+        console.error('Smart folder creation failed:', error);
+        res.status(500).json({ message: 'Failed to create smart folder' });
+    }
+});
+
+// @route   GET /api/folders/smart/:id
+// @desc    Get a smart folder with its live bookmark count
+// @access  Private
+router.get('/:id', protect, async (req, res) => {
+    try {
+        const savedSearch = await SavedSearch.findOne({
+            _id: req.params.id,
+            user: req.user.id
+        });
+
+        if (!savedSearch) {
+            return res.status(404).json({ message: 'Smart folder not found' });
+        }
+
+        const [smartFolder] = await withBookmarkCounts(req.user.id, [savedSearch]);
+        res.json(smartFolder);
+    } catch (error) {
+        console.error('Error fetching smart folder:', error);
+        res.status(500).json({ message: 'Failed to fetch smart folder' });
+    }
+});
+
+// @route   PUT /api/folders/smart/:id
+// @desc    Update a smart folder (only the fields given)
+// @access  Private
+router.put('/:id', [protect, ...smartFolderValidators(true)], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const savedSearch = await SavedSearch.findOne({
+            _id: req.params.id,
+            user: req.user.id
+        });
+
+        if (!savedSearch) {
+            return res.status(404).json({ message: 'Smart folder not found' });
+        }
+
+        ['name', 'query', 'sort', 'color', 'icon'].forEach(field => {
+            if (req.body[field] !== undefined) {
+                savedSearch[field] = req.body[field];
+            }
+        });
+
+        await savedSearch.save();
+
+        const [smartFolder] = await withBookmarkCounts(req.user.id, [savedSearch]);
+        res.json(smartFolder);
+    } catch (error) {
+        console.error('Smart folder update failed:', error);
+        res.status(500).json({ message: 'Failed to update smart folder' });
+    }
+});
+
+// @route   DELETE /api/folders/smart/:id
+// @desc    Delete a smart folder (its bookmarks are untouched)
+// @access  Private
+router.delete('/:id', protect, async (req, res) => {
+    try {
+        const savedSearch = await SavedSearch.findOneAndDelete({
+            _id: req.params.id,
+            user: req.user.id
+        });
+
+        if (!savedSearch) {
+            return res.status(404).json({ message: 'Smart folder not found' });
+        }
+
+        res.json({ message: 'Smart folder deleted' });
+    } catch (error) {
+        console.error('Smart folder deletion failed:', error);
+        res.status(500).json({ message: 'Failed to delete smart folder' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,277 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { protect } = require('../middleware/auth');
+const Bookmark = require('../models/Bookmark');
+const TagAlias = require('../models/TagAlias');
+const User = require('../models/User');
+const { startOperation } = require('../services/history');
+const {
+    addAlias,
+    deleteTag,
+    getTagContext,
+    loadTagNormalizer,
+    mergeTags,
+    renameTag
+} = require('../services/tags');
+const { DEFAULT_SIMILARITY_THRESHOLD, explainTags } = require('../utils/tagNormalizer');
+const { buildTagTree } = require('../utils/tagHierarchy');
+const router = express.Router();
+
+// Mounted under /bookmarks/tags. Tags in URLs must be URI-encoded.
+
+/**
+ * Formats tag settings for responses, with defaults spelled out
+ * @param {Object} settings - The user's tagSettings
+ * @returns {Object}
+ */
+const formatTagSettings = (settings = {}) => ({
+    preservedTerms: settings.preservedTerms || [],
+    similarityThreshold: settings.similarityThreshold ?? DEFAULT_SIMILARITY_THRESHOLD,
+    blockedTags: settings.blockedTags || [],
+    maxTags: settings.maxTags ?? null
+});
+
+// @route   GET /api/bookmarks/tags
+// @desc    Get the tag tree, most used first. `count` is rolled up over
+//          descendants (matching what a search for the tag returns);
+//          `ownCount` counts only the exact tag.
+// @access  Private
+router.get('/', protect, async (req, res) => {
+    try {
+        const bookmarks = await Bookmark.find({ user: req.user.id }).select('tags').lean();
+
+        const aliases = await TagAlias.find({ user: req.user.id }).lean();
+        const aliasesByTag = {};
+        aliases.forEach(({ alias, tag }) => {
+            (aliasesByTag[tag] = aliasesByTag[tag] || []).push(alias);
+        });
+
+        const addAliases = (node) => {
+            node.aliases = aliasesByTag[node.name] || [];
+            node.children.forEach(addAliases);
+            return node;
+        };
+
+        const tags = buildTagTree(bookmarks.map(bookmark => bookmark.tags)).map(addAliases);
+
+        res.json(tags);
+    } catch (error) {
+        console.error('Failed to fetch tags:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   POST /api/bookmarks/tags/rename
+// @desc    Rename a tag on every bookmark (alias: true keeps the old name as an alias)
+// @access  Private
+router.post('/rename', [
+    protect,
+    body('from').isString().trim().notEmpty().withMessage('The tag to rename is required'),
+    body('to').isString().trim().notEmpty().withMessage('The new tag name is required'),
+    body('alias').optional().isBoolean().withMessage('Alias must be a boolean')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const operation = startOperation(req.user.id, 'tags:rename');
+        const modifiedCount = await renameTag(operation, req.body.from, req.body.to, {
+            alias: req.body.alias === true
+        });
+
+        res.json({ modifiedCount, operationId: operation.id });
+    } catch (error) {
+        console.error('Rename tag error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   POST /api/bookmarks/tags/merge
+// @desc    Merge several tags into one (alias: true keeps the old names as aliases)
+// @access  Private
+router.post('/merge', [
+    protect,
+    body('tags').isArray({ min: 1 }).withMessage('Tags to merge are required'),
+    body('tags.*').isString().trim().notEmpty().withMessage('Tags must be non-empty strings'),
+    body('into').isString().trim().notEmpty().withMessage('The tag to merge into is required'),
+    body('alias').optional().isBoolean().withMessage('Alias must be a boolean')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const operation = startOperation(req.user.id, 'tags:merge');
+        const modifiedCount = await mergeTags(operation, req.body.tags, req.body.into, {
+            alias: req.body.alias === true
+        });
+
+        res.json({ modifiedCount, operationId: operation.id });
+    } catch (error) {
+        console.error('Merge tags error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   GET /api/bookmarks/tags/settings
+// @desc    Get the user's tag normalization settings
+// @access  Private
+router.get('/settings', protect, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id).select('tagSettings');
+        res.json(formatTagSettings(user.tagSettings));
+    } catch (error) {
+        console.error('Get tag settings error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   PUT /api/bookmarks/tags/settings
+// @desc    Update tag normalization settings (null resets a threshold or limit)
+// @access  Private
+router.put('/settings', [
+    protect,
+    body('preservedTerms').optional().isArray().withMessage('Preserved terms must be an array'),
+    body('preservedTerms.*').isString().trim().notEmpty().withMessage('Preserved terms must be non-empty strings'),
+    body('similarityThreshold').optional({ values: 'null' }).isFloat({ min: 0, max: 1 })
+        .withMessage('Similarity threshold must be between 0 and 1'),
+    body('blockedTags').optional().isArray().withMessage('Blocked tags must be an array'),
+    body('blockedTags.*').isString().trim().notEmpty().withMessage('Blocked tags must be non-empty strings'),
+    body('maxTags').optional({ values: 'null' }).isInt({ min: 1 })
+        .withMessage('Max tags must be a positive integer')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const user = await User.findById(req.user.id).select('tagSettings');
+        const { preservedTerms, similarityThreshold, blockedTags, maxTags } = req.body;
+
+        if (preservedTerms !== undefined) user.tagSettings.preservedTerms = preservedTerms;
+        if (blockedTags !== undefined) user.tagSettings.blockedTags = blockedTags;
+        if (similarityThreshold !== undefined) {
+            user.tagSettings.similarityThreshold = similarityThreshold === null ? undefined : Number(similarityThreshold);
+        }
+        if (maxTags !== undefined) {
+            user.tagSettings.maxTags = maxTags === null ? undefined : Number(maxTags);
+        }
+
+        await user.save();
+        res.json(formatTagSettings(user.tagSettings));
+    } catch (error) {
+        console.error('Update tag settings error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   POST /api/bookmarks/tags/normalize
+// @desc    Dry run: show what a list of tags would become against the user's
+//          current tags, aliases and settings
+// @access  Private
+router.post('/normalize', [
+    protect,
+    body('tags').isArray({ min: 1 }).withMessage('Tags array is required'),
+    body('tags.*').isString().withMessage('Tags must be strings')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { existingTags, ...tagOptions } = await getTagContext(req.user.id);
+        const results = explainTags(req.body.tags, existingTags, tagOptions);
+
+        res.json({
+            tags: results.filter(entry => entry.tag).map(entry => entry.tag),
+            results
+        });
+    } catch (error) {
+        console.error('Normalize tags error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   GET /api/bookmarks/tags/aliases
+// @desc    Get the user's tag aliases
+// @access  Private
+router.get('/aliases', protect, async (req, res) => {
+    try {
+        const aliases = await TagAlias.find({ user: req.user.id }).sort({ tag: 1, alias: 1 });
+        res.json(aliases);
+    } catch (error) {
+        console.error('Get tag aliases error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   POST /api/bookmarks/tags/aliases
+// @desc    Map an alias onto a canonical tag, for existing and future bookmarks
+// @access  Private
+router.post('/aliases', [
+    protect,
+    body('alias').isString().trim().notEmpty().withMessage('Alias is required'),
+    body('tag').isString().trim().notEmpty().withMessage('Tag is required')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const operation = startOperation(req.user.id, 'tags:alias');
+        const { alias, modifiedCount } = await addAlias(operation, req.body.alias, req.body.tag);
+
+        res.status(201).json({ alias, modifiedCount, operationId: operation.id });
+    } catch (error) {
+        if (error.status === 400) {
+            return res.status(400).json({ message: error.message });
+        }
+        console.error('Add tag alias error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   DELETE /api/bookmarks/tags/aliases/:alias
+// @desc    Remove a tag alias (bookmarks keep their tags)
+// @access  Private
+router.delete('/aliases/:alias', protect, async (req, res) => {
+    try {
+        const normalize = await loadTagNormalizer(req.user.id);
+        const alias = await TagAlias.findOneAndDelete({
+            user: req.user.id,
+            alias: normalize(req.params.alias)
+        });
+
+        if (!alias) {
+            return res.status(404).json({ message: 'Alias not found' });
+        }
+
+        res.json({ message: 'Alias removed' });
+    } catch (error) {
+        console.error('Delete tag alias error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   DELETE /api/bookmarks/tags/:tag
+// @desc    Remove a tag from every bookmark
+// @access  Private
+router.delete('/:tag', protect, async (req, res) => {
+    try {
+        const operation = startOperation(req.user.id, 'tags:delete');
+        const modifiedCount = await deleteTag(operation, req.params.tag);
+
+        res.json({ modifiedCount, operationId: operation.id });
+    } catch (error) {
+        console.error('Delete tag error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,130 @@
+const express = require('express');
+const { protect } = require('../middleware/auth');
+const Bookmark = require('../models/Bookmark');
+const Folder = require('../models/Folder');
+const {
+    getPurgeDate,
+    restoreBookmark,
+    restoreFolder,
+    purgeBookmarks,
+    purgeFolders
+} = require('../services/trash');
+const router = express.Router();
+
+// @route   GET /api/trash
+// @desc    Get trashed bookmarks and folders with their purge dates
+// @access  Private
+router.get('/', protect, async (req, res) => {
+    try {
+        const trashed = { user: req.user.id, deletedAt: { $ne: null } };
+
+        const [bookmarks, folders] = await Promise.all([
+            Bookmark.find(trashed).sort({ deletedAt: -1 }),
+            Folder.find(trashed).sort({ deletedAt: -1 })
+        ]);
+
+        const withPurgeDate = doc => ({ ...doc.toJSON(), purgeAt: getPurgeDate(doc.deletedAt) });
+
+        res.json({
+            bookmarks: bookmarks.map(withPurgeDate),
+            folders: folders.map(withPurgeDate)
+        });
+    } catch (error) {
+        console.error('Get trash error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   POST /api/trash/bookmarks/:id/restore
+// @desc    Restore a bookmark to its original folder
+// @access  Private
+router.post('/bookmarks/:id/restore', protect, async (req, res) => {
+    try {
+        const bookmark = await restoreBookmark(req.user.id, req.params.id);
+
+        if (!bookmark) {
+            return res.status(404).json({ message: 'Bookmark not found in trash' });
+        }
+
+        res.json(bookmark);
+    } catch (error) {
+        if (error.status === 409) {
+            return res.status(409).json({ message: error.message });
+        }
+        console.error('Restore bookmark error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   POST /api/trash/folders/:id/restore
+// @desc    Restore a folder along with the bookmarks and subfolders it held
+// @access  Private
+router.post('/folders/:id/restore', protect, async (req, res) => {
+    try {
+        const folder = await restoreFolder(req.user.id, req.params.id);
+
+        if (!folder) {
+            return res.status(404).json({ message: 'Folder not found in trash' });
+        }
+
+        res.json(folder);
+    } catch (error) {
+        console.error('Restore folder error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   DELETE /api/trash/bookmarks/:id
+// @desc    Permanently delete a trashed bookmark
+// @access  Private
+router.delete('/bookmarks/:id', protect, async (req, res) => {
+    try {
+        const deleted = await purgeBookmarks({ _id: req.params.id, user: req.user.id });
+
+        if (!deleted) {
+            return res.status(404).json({ message: 'Bookmark not found in trash' });
+        }
+
+        res.json({ message: 'Bookmark permanently deleted' });
+    } catch (error) {
+        console.error('Purge bookmark error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   DELETE /api/trash/folders/:id
+// @desc    Permanently delete a trashed folder
+// @access  Private
+router.delete('/folders/:id', protect, async (req, res) => {
+    try {
+        const deleted = await purgeFolders({ _id: req.params.id, user: req.user.id });
+
+        if (!deleted) {
+            return res.status(404).json({ message: 'Folder not found in trash' });
+        }
+
+        res.json({ message: 'Folder permanently deleted' });
+    } catch (error) {
+        console.error('Purge folder error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   DELETE /api/trash
+// @desc    Empty the trash
+// @access  Private
+router.delete('/', protect, async (req, res) => {
+    try {
+        const [bookmarks, folders] = await Promise.all([
+            purgeBookmarks({ user: req.user.id }),
+            purgeFolders({ user: req.user.id })
+        ]);
+
+        res.json({ message: 'Trash emptied', bookmarks, folders });
+    } catch (error) {
+        console.error('Empty trash error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+module.exports = router;
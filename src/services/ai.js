@@ -1,9 +1,39 @@
 const openaiService = require('./openai');
 const claudeService = require('./claude');
+const { getHierarchyPaths } = require('../utils/tagHierarchy');
+
+const ANALYSIS_FIELDS = ['summary', 'tags', 'category'];
+
+/**
+ * Works out the overall analysis status from per-field errors
+ * @param {Object} errors - Map of field name to error message
+ * @returns {string} - 'succeeded', 'partial' or 'failed'
+ */
+const getAnalysisStatus = (errors) => {
+    const failedCount = ANALYSIS_FIELDS.filter(field => errors[field]).length;
+    if (failedCount === 0) return 'succeeded';
+    if (failedCount === ANALYSIS_FIELDS.length) return 'failed';
+    return 'partial';
+};
+
+/**
+ * Analyzes content with the user's selected provider. Never throws: failures
+ * are reported in `analysis` rather than as placeholder summaries. Callers
+ * that can retry should treat an overall 'failed' status as an error.
+ * @param {string} url - The bookmarked URL
+ * @param {string} content - The fetched content
+ * @param {Object} user - The user, with API keys selected
+ * @param {Object} options - Optional settings
+ * @param {string[]} options.existingTags - The user's tags, so generated tags fit their hierarchy
+ * @returns {Promise<Object>} - { summary, tags, category, analysis: { status, provider, model, errors, analyzedAt } }
+ */
+exports.analyzeContent = async (url, content, user, { existingTags = [] } = {}) => {
+    const provider = user.aiProvider;
+    const options = { tagHierarchy: getHierarchyPaths(existingTags) };
+    let result;
 
-exports.analyzeContent = async (url, content, user) => {
     try {
-        if (!user.aiProvider) {
+        if (!provider) {
             throw new Error('AI provider not specified');
         }
 
@@ -11,28 +41,45 @@ exports.analyzeContent = async (url, content, user) => {
             throw new Error('No API key found. Please add an API key in your account settings.');
         }
 
-        switch (user.aiProvider) {
+        switch (provider) {
             case 'openai':
                 if (!user.openAiKey) {
                     throw new Error('OpenAI API key is required. Please add it in your account settings.');
                 }
-                return await openaiService.analyzeContent(url, content, user.openAiKey);
+                result = await openaiService.analyzeContent(url, content, user.openAiKey, options);
+                break;
 
             case 'claude':
                 if (!user.claudeKey) {
                     throw new Error('Claude API key is required. Please add it in your account settings.');
                 }
-                return await claudeService.analyzeContent(url, content, user.claudeKey);
+                result = await claudeService.analyzeContent(url, content, user.claudeKey, options);
+                break;
 
             default:
                 throw new Error('Invalid AI provider specified');
         }
     } catch (error) {
         console.error('Error in AI service:', error);
-        return {
-            summary: `AI analysis failed: ${error.message}. Please try again later.`,
+        result = {
+            summary: '',
             tags: [],
-            category: 'Article' // Default to Article if analysis fails
+            category: 'Article', // Default to Article if analysis fails
+            errors: Object.fromEntries(ANALYSIS_FIELDS.map(field => [field, error.message])),
+            model: null
         };
     }
+
+    return {
+        summary: result.summary,
+        tags: result.tags,
+        category: result.category,
+        analysis: {
+            status: getAnalysisStatus(result.errors),
+            provider: provider || null,
+            model: result.model,
+            errors: result.errors,
+            analyzedAt: new Date()
+        }
+    };
 };
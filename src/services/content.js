@@ -0,0 +1,85 @@
+const crypto = require('crypto');
+const BookmarkContent = require('../models/BookmarkContent');
+
+const DEFAULT_EXCERPT_LENGTH = 600;
+
+const hashText = (text) => crypto.createHash('sha256').update(text).digest('hex');
+
+/**
+ * Splits plain text into reader blocks, for content that came without
+ * structure (e.g. YouTube transcripts)
+ * @param {string} text - The text
+ * @returns {Object[]} - [{ tag: 'p', text }]
+ */
+const toBlocks = (text) => text
+    .split(/\n{2,}/)
+    .map(paragraph => paragraph.trim())
+    .filter(Boolean)
+    .map(paragraph => ({ tag: 'p', text: paragraph }));
+
+/**
+ * Stores the content fetched for a bookmark. The text and blocks are only
+ * rewritten when the content hash changed; the fetch time always moves on.
+ * @param {Object} bookmark - The bookmark document
+ * @param {Object} fetchedContent - Result of fetchContent
+ * @returns {Promise<Object>} - { changed }: whether the text differs from the last fetch
+ */
+const saveContent = async (bookmark, fetchedContent) => {
+    const text = fetchedContent.content || '';
+    const contentHash = hashText(text);
+    const now = new Date();
+
+    const existing = await BookmarkContent.findOne({ bookmark: bookmark._id }).select('contentHash').lean();
+    const changed = !existing || existing.contentHash !== contentHash;
+
+    const update = {
+        user: bookmark.user,
+        url: bookmark.url,
+        title: fetchedContent.title || '',
+        fetchedAt: now
+    };
+    if (changed) {
+        const blocks = fetchedContent.blocks && fetchedContent.blocks.length > 0
+            ? fetchedContent.blocks
+            : toBlocks(text);
+        Object.assign(update, { text, blocks, contentHash, changedAt: now });
+    }
+
+    await BookmarkContent.updateOne(
+        { bookmark: bookmark._id },
+        { $set: update },
+        { upsert: true, runValidators: true }
+    );
+    return { changed };
+};
+
+/**
+ * Loads the stored content of a bookmark
+ * @param {string} bookmarkId - The bookmark ID
+ * @returns {Promise<Object|null>} - The BookmarkContent document, or null if never fetched
+ */
+const getContent = async (bookmarkId) => {
+    return await BookmarkContent.findOne({ bookmark: bookmarkId });
+};
+
+/**
+ * Loads the beginning of the stored text of several bookmarks
+ * @param {Object[]} bookmarkIds - Bookmark ObjectIds
+ * @param {number} length - Characters per excerpt
+ * @returns {Promise<Map<string, string>>} - Bookmark ID -> excerpt, for bookmarks with content
+ */
+const getContentExcerpts = async (bookmarkIds, length = DEFAULT_EXCERPT_LENGTH) => {
+    const excerpts = await BookmarkContent.aggregate([
+        { $match: { bookmark: { $in: bookmarkIds } } },
+        { $project: { bookmark: 1, excerpt: { $substrCP: ['$text', 0, length] } } }
+    ]);
+    return new Map(excerpts
+        .filter(entry => entry.excerpt)
+        .map(entry => [entry.bookmark.toString(), entry.excerpt]));
+};
+
+module.exports = {
+    saveContent,
+    getContent,
+    getContentExcerpts
+};
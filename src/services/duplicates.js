@@ -0,0 +1,208 @@
+const mongoose = require('mongoose');
+const Bookmark = require('../models/Bookmark');
+const { startOperation, snapshot, recordChange, trackedUpdateMany } = require('./history');
+const { trashBookmarks } = require('./trash');
+const { canonicalizeUrl } = require('../utils/urlCleaner');
+const {
+    findNearDuplicatePairs,
+    fingerprintBands,
+    hammingDistance,
+    isNearDuplicate
+} = require('../utils/simhash');
+
+const DUPLICATE_FIELDS = '_id url title canonicalUrl fingerprint tags notes isFavorite createdAt';
+
+// Bookmarks saved before canonical URLs existed get theirs worked out on the
+// fly (utils/migrateCanonicalUrls.js fills them in for good)
+const canonicalOf = (bookmark) => bookmark.canonicalUrl || canonicalizeUrl(bookmark.url);
+
+/**
+ * Finds the owner's other bookmarks that are likely duplicates of a bookmark,
+ * by canonical URL or by near-identical content
+ * @param {Object} bookmark - The bookmark (canonicalUrl and fingerprint set where known)
+ * @returns {Promise<Object[]>} - [{ bookmark: id, reason: 'canonical'|'content', distance? }]
+ */
+const findDuplicatesOf = async (bookmark) => {
+    const canonical = canonicalOf(bookmark);
+
+    // Only candidates sharing the canonical URL (or, for bookmarks saved
+    // before canonical URLs, the URL itself) or a fingerprint band are loaded
+    const candidates = [
+        { canonicalUrl: canonical },
+        { url: { $in: [bookmark.url, canonical] } }
+    ];
+    const bands = fingerprintBands(bookmark.fingerprint);
+    if (bands.length > 0) {
+        candidates.push({ fingerprintBands: { $in: bands } });
+    }
+
+    const others = await Bookmark.find({ user: bookmark.user, _id: { $ne: bookmark._id }, $or: candidates })
+        .select('_id url canonicalUrl fingerprint')
+        .lean();
+
+    const matches = [];
+    others.forEach(other => {
+        if (canonical && canonicalOf(other) === canonical) {
+            matches.push({ bookmark: other._id, reason: 'canonical' });
+        } else if (isNearDuplicate(bookmark.fingerprint, other.fingerprint)) {
+            matches.push({
+                bookmark: other._id,
+                reason: 'content',
+                distance: hammingDistance(bookmark.fingerprint, other.fingerprint)
+            });
+        }
+    });
+    return matches;
+};
+
+/**
+ * Flags a bookmark's likely duplicates on the document (without saving)
+ * @param {Object} bookmark - The bookmark document
+ * @returns {Promise<Object[]>} - The matches from findDuplicatesOf
+ */
+const flagDuplicates = async (bookmark) => {
+    const matches = await findDuplicatesOf(bookmark);
+    bookmark.possibleDuplicates = matches.map(match => match.bookmark);
+    return matches;
+};
+
+/**
+ * Groups a user's bookmarks into sets of likely duplicates
+ * @param {string} userId - The user ID
+ * @returns {Promise<Object[]>} - [{ bookmarks, reasons, suggestedTarget }], largest
+ *                                groups first. Bookmarks are oldest first, and the
+ *                                oldest is suggested as the one to merge into.
+ */
+const findDuplicateGroups = async (userId) => {
+    // Find the bookmarks that share a canonical URL or a fingerprint band
+    // with another one; only those are loaded and compared. Bookmarks still
+    // without a canonical URL fall back to their raw URL here, so run
+    // utils/migrateCanonicalUrls.js to group their AMP and mobile variants.
+    const user = new mongoose.Types.ObjectId(userId);
+    const [sharedUrls, sharedBands] = await Promise.all([
+        Bookmark.aggregate([
+            { $match: { user } },
+            { $group: { _id: { $ifNull: ['$canonicalUrl', '$url'] }, ids: { $push: '$_id' } } },
+            { $match: { 'ids.1': { $exists: true } } }
+        ]),
+        Bookmark.aggregate([
+            { $match: { user, 'fingerprintBands.0': { $exists: true } } },
+            { $unwind: '$fingerprintBands' },
+            { $group: { _id: '$fingerprintBands', ids: { $push: '$_id' } } },
+            { $match: { 'ids.1': { $exists: true } } }
+        ])
+    ]);
+    const candidateIds = [...sharedUrls, ...sharedBands].flatMap(group => group.ids);
+    if (candidateIds.length === 0) {
+        return [];
+    }
+
+    const bookmarks = await Bookmark.find({ _id: { $in: candidateIds } })
+        .select(DUPLICATE_FIELDS)
+        .sort({ createdAt: 1 })
+        .lean();
+
+    // Union-find over the duplicate links
+    const parent = bookmarks.map((_, index) => index);
+    const find = (index) => (parent[index] === index ? index : (parent[index] = find(parent[index])));
+    const reasons = new Map();
+    const link = (a, b, reason) => {
+        const rootA = find(a);
+        const rootB = find(b);
+        const merged = new Set([...(reasons.get(rootA) || []), ...(reasons.get(rootB) || []), reason]);
+        parent[rootB] = rootA;
+        reasons.set(rootA, merged);
+    };
+
+    const byCanonical = new Map();
+    bookmarks.forEach((bookmark, index) => {
+        const canonical = canonicalOf(bookmark);
+        if (!canonical) return;
+        if (byCanonical.has(canonical)) {
+            link(byCanonical.get(canonical), index, 'canonical');
+        } else {
+            byCanonical.set(canonical, index);
+        }
+    });
+
+    findNearDuplicatePairs(bookmarks.map(bookmark => bookmark.fingerprint))
+        .forEach(([a, b]) => link(a, b, 'content'));
+
+    const groups = new Map();
+    bookmarks.forEach((bookmark, index) => {
+        const root = find(index);
+        if (!groups.has(root)) groups.set(root, []);
+        groups.get(root).push(bookmark);
+    });
+
+    return [...groups.entries()]
+        .filter(([, members]) => members.length > 1)
+        .map(([root, members]) => ({
+            bookmarks: members.map(({ fingerprint, ...bookmark }) => ({ ...bookmark, canonicalUrl: canonicalOf(bookmark) })),
+            reasons: [...reasons.get(root)].sort(),
+            suggestedTarget: members[0]._id
+        }))
+        .sort((a, b) => b.bookmarks.length - a.bookmarks.length);
+};
+
+/**
+ * Merges duplicates into one bookmark: tags and notes are combined, and it's
+ * a favorite if any of them was. The others move to the trash, all as one
+ * 'merge' operation that can be undone.
+ * @param {string} userId - The user ID
+ * @param {string} targetId - The bookmark to keep
+ * @param {string[]} sourceIds - The bookmarks to merge into it
+ * @returns {Promise<Object|null>} - { bookmark, mergedCount, operationId }, or
+ *                                   null if the target doesn't exist
+ * @throws {Error} - With status 400 if none of the sources exist
+ */
+const mergeBookmarks = async (userId, targetId, sourceIds) => {
+    const target = await Bookmark.findOne({ _id: targetId, user: userId });
+    if (!target) {
+        return null;
+    }
+
+    const sources = await Bookmark.find({
+        _id: { $in: sourceIds.filter(id => id.toString() !== target._id.toString()) },
+        user: userId
+    }).sort({ createdAt: 1 });
+    if (sources.length === 0) {
+        const error = new Error('No bookmarks to merge');
+        error.status = 400;
+        throw error;
+    }
+
+    const operation = startOperation(userId, 'merge');
+    const mergedIds = sources.map(source => source._id);
+    const before = snapshot('Bookmark', target);
+
+    const all = [target, ...sources];
+    target.tags = [...new Set(all.flatMap(bookmark => bookmark.tags))];
+    target.notes = [...new Set(all.map(bookmark => (bookmark.notes || '').trim()).filter(Boolean))].join('\n\n');
+    target.isFavorite = all.some(bookmark => bookmark.isFavorite);
+    target.possibleDuplicates = target.possibleDuplicates.filter(id =>
+        !mergedIds.some(merged => merged.equals(id))
+    );
+
+    await target.save();
+    await recordChange(operation, 'Bookmark', target, before);
+    await trashBookmarks(userId, mergedIds, operation);
+
+    // Bookmarks that were flagged as duplicates of the merged ones now point
+    // at nothing visible; recorded so undoing the merge flags them again
+    await trackedUpdateMany(
+        operation,
+        'Bookmark',
+        { user: userId, possibleDuplicates: { $in: mergedIds } },
+        { $pull: { possibleDuplicates: { $in: mergedIds } } }
+    );
+
+    return { bookmark: target, mergedCount: sources.length, operationId: operation.id };
+};
+
+module.exports = {
+    findDuplicatesOf,
+    flagDuplicates,
+    findDuplicateGroups,
+    mergeBookmarks
+};
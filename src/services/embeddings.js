@@ -0,0 +1,134 @@
+const Bookmark = require('../models/Bookmark');
+const BookmarkContent = require('../models/BookmarkContent');
+const openaiService = require('./openai');
+const { HASHING_DIMENSIONS, hashingEmbedding } = require('../utils/vectors');
+
+// Longest text sent for embedding, to stay inside provider token limits
+const MAX_EMBEDDING_CHARS = 8000;
+// How much of the fetched page goes into a bookmark's embedding
+const CONTENT_EXCERPT_CHARS = 2000;
+const BACKFILL_BATCH_SIZE = 50;
+
+// Used when the user's provider has no embeddings API (Claude) or no key
+let localEmbedder = {
+    model: `local:hashing-${HASHING_DIMENSIONS}`,
+    embed: (text) => hashingEmbedding(text)
+};
+
+/**
+ * Replaces the local embedding function, e.g. with an on-device model
+ * @param {Function} embed - (text) => number[], or a promise of one
+ * @param {string} model - Name stored with the vectors; change it whenever
+ *                         new vectors aren't comparable with old ones
+ */
+const setLocalEmbedder = (embed, model) => {
+    localEmbedder = { model: `local:${model}`, embed };
+};
+
+/**
+ * Picks the embedder for a user: their provider's when it offers
+ * embeddings, otherwise the local one
+ * @param {Object} user - The user, with API keys selected
+ * @returns {Object} - { model, embed(text) }
+ */
+const getEmbedder = (user) => {
+    if (user.aiProvider === 'openai' && user.openAiKey) {
+        return {
+            model: openaiService.EMBEDDING_MODEL,
+            embed: (text) => openaiService.createEmbedding(text, user.openAiKey)
+        };
+    }
+    return localEmbedder;
+};
+
+/**
+ * Embeds text for a user
+ * @param {string} text - The text
+ * @param {Object} user - The user, with API keys selected
+ * @returns {Promise<Object>} - { vector, model }
+ */
+const embedText = async (text, user) => {
+    const embedder = getEmbedder(user);
+    const vector = await embedder.embed(String(text || '').slice(0, MAX_EMBEDDING_CHARS));
+    return { vector, model: embedder.model };
+};
+
+/**
+ * Builds the text a bookmark is embedded from
+ * @param {Object} bookmark - The bookmark
+ * @param {string} content - Fetched page content, if available
+ * @returns {string}
+ */
+const buildEmbeddingText = (bookmark, content = '') => [
+    bookmark.title,
+    bookmark.description,
+    bookmark.aiSummary,
+    (bookmark.tags || []).join(', '),
+    String(content || '').slice(0, CONTENT_EXCERPT_CHARS)
+].filter(Boolean).join('\n\n');
+
+/**
+ * Computes a bookmark's embedding and sets it on the document (without saving)
+ * @param {Object} bookmark - The bookmark document
+ * @param {Object} user - The owner, with API keys selected
+ * @param {string} content - Fetched page content, if available
+ */
+const embedBookmark = async (bookmark, user, content) => {
+    const { vector, model } = await embedText(buildEmbeddingText(bookmark, content), user);
+    bookmark.embedding = { vector, model, embeddedAt: new Date() };
+};
+
+/**
+ * Embeds a batch of the user's bookmarks that have no embedding from their
+ * current embedder, e.g. ones saved before semantic search or before the
+ * user switched provider. Uses the stored fields and page content; nothing
+ * is re-fetched. Bookmarks that fail are marked and skipped by later
+ * batches until they're embedded some other way (e.g. reanalysis).
+ * @param {Object} user - The user, with API keys selected
+ * @param {Object} options - Optional settings
+ * @param {number} options.limit - Maximum number of bookmarks to embed
+ * @returns {Promise<Object>} - { model, embedded, failed, remaining }
+ */
+const backfillEmbeddings = async (user, { limit = BACKFILL_BATCH_SIZE } = {}) => {
+    const { model } = getEmbedder(user);
+    const filter = {
+        user: user._id,
+        'embedding.model': { $ne: model },
+        'embedding.failedModel': { $ne: model }
+    };
+
+    const bookmarks = await Bookmark.find(filter).sort({ createdAt: -1 }).limit(limit);
+    const contents = await BookmarkContent.find({ bookmark: { $in: bookmarks.map(bookmark => bookmark._id) } })
+        .select('bookmark text')
+        .lean();
+    const textByBookmark = new Map(contents.map(content => [content.bookmark.toString(), content.text]));
+
+    let embedded = 0;
+    let failed = 0;
+    for (const bookmark of bookmarks) {
+        try {
+            await embedBookmark(bookmark, user, textByBookmark.get(bookmark._id.toString()));
+            await bookmark.save({ timestamps: false });
+            embedded++;
+        } catch (error) {
+            console.error('Embedding failed:', { bookmarkId: bookmark._id, message: error.message });
+            await Bookmark.updateOne(
+                { _id: bookmark._id },
+                { $set: { 'embedding.failedModel': model, 'embedding.failedAt': new Date() } },
+                { timestamps: false }
+            );
+            failed++;
+        }
+    }
+
+    const remaining = await Bookmark.countDocuments(filter);
+    return { model, embedded, failed, remaining };
+};
+
+module.exports = {
+    setLocalEmbedder,
+    getEmbedder,
+    embedText,
+    embedBookmark,
+    backfillEmbeddings
+};
@@ -0,0 +1,340 @@
+const archiver = require('archiver');
+const Bookmark = require('../models/Bookmark');
+const Folder = require('../models/Folder');
+const Highlight = require('../models/Highlight');
+const { formatCsvRow } = require('../utils/csv');
+const { sanitizeFileName, formatBookmarkNote, formatTagIndexNote } = require('../utils/markdown');
+const {
+    NETSCAPE_HEADER,
+    NETSCAPE_FOOTER,
+    formatFolderStart,
+    formatFolderEnd,
+    formatBookmark
+} = require('../utils/netscapeBookmarks');
+
+const EXPORT_FORMATS = {
+    html: { contentType: 'text/html; charset=utf-8', extension: 'html' },
+    json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    markdown: { contentType: 'application/zip', extension: 'zip' }
+};
+
+const VAULT_ROOT = 'Bookmarks';
+const VAULT_TAGS_DIR = 'Tags';
+
+const CSV_COLUMNS = [
+    'url', 'title', 'description', 'aiSummary', 'notes', 'tags',
+    'category', 'isFavorite', 'folder', 'createdAt', 'updatedAt'
+];
+
+/**
+ * Waits for an event, rejecting instead if the client disconnects first so
+ * an abandoned export stops (and its cursor closes) rather than hanging
+ * @param {Object} res - The Express response
+ * @param {Object} emitter - The emitter to wait on
+ * @param {string} event - The event name
+ * @returns {Promise<void>}
+ */
+const untilEvent = (res, emitter, event) => new Promise((resolve, reject) => {
+    const onEvent = () => {
+        cleanup();
+        resolve();
+    };
+    const onClose = () => {
+        cleanup();
+        reject(new Error('Client closed the connection'));
+    };
+    const cleanup = () => {
+        emitter.off(event, onEvent);
+        res.off('close', onClose);
+        res.off('error', onClose);
+    };
+    emitter.on(event, onEvent);
+    res.on('close', onClose);
+    res.on('error', onClose);
+});
+
+/**
+ * Writes a chunk to the response, waiting for the socket to drain when
+ * its buffer is full so large libraries never pile up in memory
+ * @param {Object} res - The Express response
+ * @param {string} chunk - The data to write
+ */
+const write = async (res, chunk) => {
+    if (res.destroyed) {
+        throw new Error('Client closed the connection');
+    }
+    if (!res.write(chunk)) {
+        await untilEvent(res, res, 'drain');
+    }
+};
+
+/**
+ * Loads a user's folders and indexes them by ID, parent and path
+ * @param {string} userId - The user ID
+ * @returns {Promise<Object>} - { folders, childrenOf(parentId), pathOf(folderId) }
+ */
+const loadFolderTree = async (userId) => {
+    const folders = await Folder.find({ user: userId }).sort({ name: 1 }).lean();
+    const byId = new Map(folders.map(folder => [folder._id.toString(), folder]));
+    const children = new Map();
+
+    folders.forEach(folder => {
+        const parentKey = folder.parent && byId.has(folder.parent.toString())
+            ? folder.parent.toString()
+            : 'root';
+        if (!children.has(parentKey)) children.set(parentKey, []);
+        children.get(parentKey).push(folder);
+    });
+
+    const paths = new Map();
+    const pathOf = (folderId) => {
+        if (!folderId) return [];
+        const key = folderId.toString();
+        if (!paths.has(key)) {
+            const folder = byId.get(key);
+            // Guard against parent cycles while walking up the tree
+            paths.set(key, []);
+            paths.set(key, folder ? [...pathOf(folder.parent), folder.name] : []);
+        }
+        return paths.get(key);
+    };
+
+    return {
+        folders,
+        childrenOf: (parentId) => children.get(parentId ? parentId.toString() : 'root') || [],
+        pathOf
+    };
+};
+
+/**
+ * Returns a loader for a bookmark's highlights that skips the lookups
+ * entirely for users who have never highlighted anything
+ * @param {string} userId - The user ID
+ * @returns {Promise<Function>} - async (bookmarkId) => highlights in reading order
+ */
+const createHighlightLoader = async (userId) => {
+    const hasHighlights = await Highlight.exists({ user: userId });
+    return async (bookmarkId) => {
+        if (!hasHighlights) return [];
+        return await Highlight.find({ bookmark: bookmarkId })
+            .sort({ 'anchor.start': 1, createdAt: 1 })
+            .select('-user -bookmark -__v')
+            .lean();
+    };
+};
+
+/**
+ * Streams bookmarks in Netscape bookmark file format, nesting them by folder.
+ * Folders without matching bookmarks are left out. Bookmarks whose folder is
+ * gone (deleted or in the trash) are written at the top level.
+ */
+const exportHtml = async (res, filter, tree) => {
+    await write(res, NETSCAPE_HEADER);
+
+    // Folder headings are only written once a bookmark below them is, so
+    // filtered exports don't contain empty folders
+    const pendingHeadings = [];
+    const flushHeadings = async () => {
+        for (const heading of pendingHeadings) {
+            if (!heading.written) {
+                await write(res, heading.text);
+                heading.written = true;
+            }
+        }
+    };
+
+    const writeFolder = async (folderId, depth) => {
+        const cursor = Bookmark.find({ ...filter, folder: folderId })
+            .sort({ createdAt: -1 })
+            .lean()
+            .cursor();
+        for await (const bookmark of cursor) {
+            await flushHeadings();
+            await write(res, formatBookmark(bookmark, depth));
+        }
+
+        for (const child of tree.childrenOf(folderId)) {
+            pendingHeadings.push({ text: formatFolderStart(child, depth + 1), written: false });
+            await writeFolder(child._id, depth + 1);
+            const heading = pendingHeadings.pop();
+            if (heading.written) {
+                await write(res, formatFolderEnd(depth + 1));
+            }
+        }
+    };
+
+    if ('folder' in filter) {
+        // A single-folder export is written flat, like the other formats
+        const cursor = Bookmark.find(filter).sort({ createdAt: -1 }).lean().cursor();
+        for await (const bookmark of cursor) {
+            await write(res, formatBookmark(bookmark, -1));
+        }
+    } else {
+        await writeFolder(null, -1);
+
+        const folderIds = tree.folders.map(folder => folder._id);
+        const cursor = Bookmark.find({ ...filter, folder: { $nin: [null, ...folderIds] } })
+            .sort({ createdAt: -1 })
+            .lean()
+            .cursor();
+        for await (const bookmark of cursor) {
+            await write(res, formatBookmark(bookmark, -1));
+        }
+    }
+
+    await write(res, NETSCAPE_FOOTER);
+};
+
+/**
+ * Streams a lossless JSON dump of the folder tree and matching bookmarks,
+ * each with its highlights
+ */
+const exportJson = async (res, filter, tree, loadHighlights) => {
+    const folders = tree.folders.map(folder => ({ ...folder, path: tree.pathOf(folder._id) }));
+    await write(res, `{"exportedAt":${JSON.stringify(new Date())},"folders":${JSON.stringify(folders)},"bookmarks":[`);
+
+    let first = true;
+    const cursor = Bookmark.find(filter).sort({ createdAt: -1 }).lean().cursor();
+    for await (const bookmark of cursor) {
+        const entry = {
+            ...bookmark,
+            folderPath: tree.pathOf(bookmark.folder),
+            highlights: await loadHighlights(bookmark._id)
+        };
+        await write(res, (first ? '' : ',') + JSON.stringify(entry));
+        first = false;
+    }
+
+    await write(res, ']}');
+};
+
+/**
+ * Streams matching bookmarks as flat CSV rows
+ */
+const exportCsv = async (res, filter, tree) => {
+    await write(res, formatCsvRow(CSV_COLUMNS));
+
+    const cursor = Bookmark.find(filter).sort({ createdAt: -1 }).lean().cursor();
+    for await (const bookmark of cursor) {
+        await write(res, formatCsvRow([
+            bookmark.url,
+            bookmark.title,
+            bookmark.description,
+            bookmark.aiSummary,
+            bookmark.notes,
+            (bookmark.tags || []).join(', '),
+            bookmark.category,
+            bookmark.isFavorite,
+            tree.pathOf(bookmark.folder).join('/'),
+            bookmark.createdAt && bookmark.createdAt.toISOString(),
+            bookmark.updatedAt && bookmark.updatedAt.toISOString()
+        ]));
+    }
+};
+
+/**
+ * Streams a zip of Markdown notes (an Obsidian vault) with one note per
+ * bookmark in directories mirroring the folder tree, plus a note per tag
+ * linking every bookmark that carries it
+ */
+const exportMarkdown = async (res, filter, tree, loadHighlights) => {
+    const archive = archiver('zip', { zlib: { level: 9 } });
+    const finished = new Promise((resolve, reject) => {
+        archive.on('error', reject);
+        res.on('finish', resolve);
+        res.on('close', resolve);
+    });
+    archive.pipe(res);
+    res.on('close', () => {
+        if (!res.writableFinished) archive.abort();
+    });
+
+    // Adds a file and waits until the archiver has consumed it, so only one
+    // note is held in memory at a time
+    const addFile = async (name, content, date) => {
+        const consumed = untilEvent(res, archive, 'entry');
+        archive.append(content, { name, date: date || new Date() });
+        await consumed;
+    };
+
+    const usedPaths = new Set();
+    const uniquePath = (dir, baseName) => {
+        let path = `${dir}/${baseName}`;
+        for (let n = 2; usedPaths.has(path.toLowerCase()); n++) {
+            path = `${dir}/${baseName} (${n})`;
+        }
+        usedPaths.add(path.toLowerCase());
+        return path;
+    };
+
+    const notesByTag = new Map();
+    const cursor = Bookmark.find(filter).sort({ createdAt: -1 }).lean().cursor();
+    for await (const bookmark of cursor) {
+        const folderPath = tree.pathOf(bookmark.folder);
+        const dir = [VAULT_ROOT, ...folderPath.map(name => sanitizeFileName(name, 'Untitled folder'))].join('/');
+        const path = uniquePath(dir, sanitizeFileName(bookmark.title || bookmark.url));
+
+        const highlights = await loadHighlights(bookmark._id);
+        await addFile(`${path}.md`, formatBookmarkNote(bookmark, folderPath, highlights), bookmark.createdAt);
+
+        (bookmark.tags || []).forEach(tag => {
+            if (!notesByTag.has(tag)) notesByTag.set(tag, []);
+            notesByTag.get(tag).push({ path, title: bookmark.title || bookmark.url });
+        });
+    }
+
+    for (const [tag, notes] of notesByTag) {
+        const path = uniquePath(VAULT_TAGS_DIR, sanitizeFileName(tag));
+        await addFile(`${path}.md`, formatTagIndexNote(tag, notes));
+    }
+
+    await archive.finalize();
+    await finished;
+};
+
+/**
+ * Streams a user's bookmarks to the response in the requested format
+ * @param {Object} res - The Express response (headers must not be sent yet)
+ * @param {string} userId - The user ID
+ * @param {string} format - One of the EXPORT_FORMATS keys
+ * @param {Object} filter - Bookmark filter (see utils/searchQuery)
+ */
+const exportBookmarks = async (res, userId, format, filter) => {
+    const { contentType, extension } = EXPORT_FORMATS[format];
+    const tree = await loadFolderTree(userId);
+    const loadHighlights = await createHighlightLoader(userId);
+    const date = new Date().toISOString().slice(0, 10);
+
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="bookmarks-${date}.${extension}"`);
+
+    try {
+        switch (format) {
+            case 'html':
+                await exportHtml(res, filter, tree);
+                break;
+            case 'json':
+                await exportJson(res, filter, tree, loadHighlights);
+                break;
+            case 'csv':
+                await exportCsv(res, filter, tree);
+                break;
+            case 'markdown':
+                // The archive ends the response itself once it's finalized
+                return await exportMarkdown(res, filter, tree, loadHighlights);
+        }
+    } catch (error) {
+        // A client that went away mid-export has nobody left to tell
+        if (res.destroyed) return;
+        throw error;
+    }
+
+    res.end();
+};
+
+module.exports = {
+    EXPORT_FORMATS,
+    loadFolderTree,
+    exportBookmarks
+};
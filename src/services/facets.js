@@ -0,0 +1,89 @@
+const Bookmark = require('../models/Bookmark');
+const Folder = require('../models/Folder');
+
+// How many tag and domain buckets are returned at most
+const FACET_LIMIT = 20;
+
+// Host of a URL without the scheme, port and a leading "www."
+const DOMAIN_PATTERN = '^(?:[a-z][a-z0-9+.-]*://)?(?:www\\.)?([^/:?#]+)';
+
+const countBy = (field, limit) => {
+    const stages = [
+        { $group: { _id: field, count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } }
+    ];
+    return limit ? [...stages, { $limit: limit }] : stages;
+};
+
+/**
+ * Counts how a set of bookmarks is spread over tags, categories, folders,
+ * domains, favorite status and creation month, in a single aggregation
+ * @param {Object} filter - Bookmark filter, e.g. from buildSearchFilter
+ * @returns {Promise<Object>} - { tags, categories, folders, domains, favorite, months };
+ *                              buckets are { value, count } (folders also carry a name),
+ *                              favorite is { true, false } and months run newest first
+ */
+const getSearchFacets = async (filter) => {
+    // Aggregations skip schema casting, so cast the filter like find() would
+    const match = Bookmark.find(filter).cast();
+
+    const [result] = await Bookmark.aggregate([
+        { $match: match },
+        {
+            $facet: {
+                tags: [{ $unwind: '$tags' }, ...countBy('$tags', FACET_LIMIT)],
+                categories: countBy('$category'),
+                folders: countBy('$folder'),
+                domains: [
+                    {
+                        $project: {
+                            domain: {
+                                $let: {
+                                    vars: { found: { $regexFind: { input: '$url', regex: DOMAIN_PATTERN, options: 'i' } } },
+                                    in: { $toLower: { $arrayElemAt: ['$$found.captures', 0] } }
+                                }
+                            }
+                        }
+                    },
+                    { $match: { domain: { $nin: [null, ''] } } },
+                    ...countBy('$domain', FACET_LIMIT)
+                ],
+                favorite: countBy({ $eq: ['$isFavorite', true] }),
+                months: [
+                    { $group: { _id: { $dateToString: { format: '%Y-%m', date: '$createdAt' } }, count: { $sum: 1 } } },
+                    { $sort: { _id: -1 } }
+                ]
+            }
+        }
+    ]);
+
+    const toBuckets = (entries) => entries.map(entry => ({ value: entry._id, count: entry.count }));
+
+    // Name the folder buckets; bookmarks outside any folder have value null
+    const folderIds = result.folders.map(entry => entry._id).filter(Boolean);
+    const folders = await Folder.find({ _id: { $in: folderIds } }).select('name').lean();
+    const folderNames = new Map(folders.map(folder => [folder._id.toString(), folder.name]));
+
+    const favoriteCounts = new Map(result.favorite.map(entry => [entry._id, entry.count]));
+
+    return {
+        tags: toBuckets(result.tags),
+        categories: toBuckets(result.categories),
+        folders: result.folders.map(entry => ({
+            value: entry._id,
+            name: entry._id ? folderNames.get(entry._id.toString()) || null : null,
+            count: entry.count
+        })),
+        domains: toBuckets(result.domains),
+        favorite: {
+            true: favoriteCounts.get(true) || 0,
+            false: favoriteCounts.get(false) || 0
+        },
+        months: toBuckets(result.months)
+    };
+};
+
+module.exports = {
+    FACET_LIMIT,
+    getSearchFacets
+};
@@ -0,0 +1,309 @@
+const mongoose = require('mongoose');
+const Bookmark = require('../models/Bookmark');
+const Change = require('../models/Change');
+const Folder = require('../models/Folder');
+
+const MODELS = { Bookmark, Folder };
+
+// Fields whose changes are recorded (and can be undone) for each entity type
+const TRACKED_FIELDS = {
+    Bookmark: [
+        'title', 'description', 'aiSummary', 'notes', 'tags',
+        'folder', 'category', 'isFavorite', 'possibleDuplicates', 'deletedAt'
+    ],
+    Folder: ['name', 'description', 'parent', 'color', 'icon', 'deletedAt']
+};
+
+/**
+ * Starts an operation that groups the changes made by one request
+ * @param {string} userId - The owner of the changed documents
+ * @param {string} label - What kind of operation this is, e.g. 'bulk:move'
+ * @param {Object} options - Optional settings
+ * @param {string|null} options.actor - Who is making the change (defaults to the owner)
+ * @returns {Object} - Operation context to pass to the tracking helpers
+ */
+const startOperation = (userId, label, { actor = userId } = {}) => ({
+    id: new mongoose.Types.ObjectId(),
+    user: userId,
+    actor,
+    label
+});
+
+/**
+ * Captures the tracked fields of a document (or lean object)
+ * @param {string} entityType - 'Bookmark' or 'Folder'
+ * @param {Object} doc - The document
+ * @returns {Object} - Plain copy of the tracked fields
+ */
+const snapshot = (entityType, doc) => {
+    const source = typeof doc.toObject === 'function' ? doc.toObject({ virtuals: false }) : doc;
+    const fields = {};
+    TRACKED_FIELDS[entityType].forEach(field => {
+        fields[field] = source[field] === undefined ? null : source[field];
+    });
+    return fields;
+};
+
+const isSameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * Reduces two snapshots to just the fields that differ
+ * @returns {Object} - { before, after } containing only changed fields
+ */
+const diff = (before, after) => {
+    const result = { before: {}, after: {} };
+    Object.keys(after).forEach(field => {
+        if (!isSameValue(before[field], after[field])) {
+            result.before[field] = before[field];
+            result.after[field] = after[field];
+        }
+    });
+    return result;
+};
+
+/**
+ * Records a change to a single document if any tracked field changed
+ * @param {Object} operation - Context from startOperation
+ * @param {string} entityType - 'Bookmark' or 'Folder'
+ * @param {Object} doc - The document after the change
+ * @param {Object} before - Snapshot taken before the change
+ */
+const recordChange = async (operation, entityType, doc, before) => {
+    const changed = diff(before, snapshot(entityType, doc));
+    if (Object.keys(changed.after).length === 0) {
+        return;
+    }
+
+    await Change.create({
+        user: operation.user,
+        actor: operation.actor,
+        entityType,
+        entity: doc._id,
+        operation: operation.id,
+        label: operation.label,
+        ...changed
+    });
+};
+
+/**
+ * Records the creation of documents; undoing it moves them to the trash
+ * @param {Object} operation - Context from startOperation
+ * @param {string} entityType - 'Bookmark' or 'Folder'
+ * @param {Object[]} docs - The created documents
+ */
+const recordCreate = async (operation, entityType, docs) => {
+    if (docs.length === 0) {
+        return;
+    }
+
+    await Change.insertMany(docs.map(doc => ({
+        user: operation.user,
+        actor: operation.actor,
+        entityType,
+        entity: doc._id,
+        action: 'create',
+        operation: operation.id,
+        label: operation.label,
+        before: {},
+        after: snapshot(entityType, doc)
+    })));
+};
+
+/**
+ * Runs updateMany and records a change for every document it modified
+ * @param {Object} operation - Context from startOperation
+ * @param {string} entityType - 'Bookmark' or 'Folder'
+ * @param {Object} filter - Filter selecting the documents
+ * @param {Object} update - The update to apply
+ * @param {Object} options - Query options, e.g. { withDeleted: true }
+ * @returns {Promise<number>} - Number of documents modified
+ */
+const trackedUpdateMany = async (operation, entityType, filter, update, options = {}) => {
+    const Model = MODELS[entityType];
+    const fields = TRACKED_FIELDS[entityType].join(' ');
+
+    const beforeDocs = await Model.find(filter).setOptions(options).select(fields).lean();
+    if (beforeDocs.length === 0) {
+        return 0;
+    }
+
+    const ids = beforeDocs.map(doc => doc._id);
+    const result = await Model.updateMany({ ...filter, _id: { $in: ids } }, update).setOptions(options);
+
+    // Updates such as trashing take documents out of the default scope
+    const afterDocs = await Model.find({ _id: { $in: ids } })
+        .setOptions({ withDeleted: true })
+        .select(fields)
+        .lean();
+    const beforeById = new Map(beforeDocs.map(doc => [doc._id.toString(), snapshot(entityType, doc)]));
+
+    const changes = afterDocs
+        .map(doc => ({ doc, ...diff(beforeById.get(doc._id.toString()), snapshot(entityType, doc)) }))
+        .filter(change => Object.keys(change.after).length > 0)
+        .map(({ doc, before, after }) => ({
+            user: operation.user,
+            actor: operation.actor,
+            entityType,
+            entity: doc._id,
+            operation: operation.id,
+            label: operation.label,
+            before,
+            after
+        }));
+
+    if (changes.length > 0) {
+        await Change.insertMany(changes);
+    }
+
+    return result.modifiedCount;
+};
+
+/**
+ * Marks a change as reverted. A change with conflicting fields only has the
+ * reverted fields marked, so it can be undone again once they're resolved.
+ * @param {Object} change - The change
+ * @param {Object} undo - The undo operation
+ * @param {string[]|null} fields - Fields reverted now, or null for the whole change
+ */
+const markUndone = async (change, undo, fields) => {
+    const undoneFields = [...(change.undoneFields || []), ...(fields || [])];
+    const complete = fields === null ||
+        Object.keys(change.before).every(field => undoneFields.includes(field));
+
+    await Change.updateOne({ _id: change._id }, {
+        $set: complete
+            ? { undoneAt: new Date(), undoneBy: undo.id, undoneFields }
+            : { undoneFields }
+    });
+};
+
+/**
+ * Reverts changes, newest first, as a new 'undo' operation. Fields that have
+ * been changed again since are left alone and reported as conflicts.
+ * @param {string} userId - The user ID
+ * @param {Object[]} changes - The changes to revert
+ * @returns {Promise<Object>} - { operationId, reverted, conflicts }
+ */
+const revertChanges = async (userId, changes) => {
+    // Required here because the trash service records its changes through
+    // this module
+    const { trashFolder } = require('./trash');
+
+    const undo = startOperation(userId, 'undo');
+    const result = { operationId: undo.id, reverted: 0, conflicts: [] };
+
+    const ordered = [...changes].sort((a, b) => b.createdAt - a.createdAt);
+    for (const change of ordered) {
+        const Model = MODELS[change.entityType];
+        const doc = await Model.findById(change.entity).setOptions({ withDeleted: true });
+        if (!doc) {
+            result.conflicts.push({ change: change._id, entity: change.entity, reason: 'Permanently deleted' });
+            continue;
+        }
+
+        const before = snapshot(change.entityType, doc);
+
+        // Bringing a bookmark back from the trash mustn't duplicate a URL
+        // that has been bookmarked again since
+        const restores = change.action === 'update' && 'deletedAt' in change.before &&
+            change.before.deletedAt === null && doc.deletedAt;
+        if (restores && change.entityType === 'Bookmark' &&
+            await Bookmark.exists({ user: userId, url: doc.url, _id: { $ne: doc._id } })) {
+            result.conflicts.push({ change: change._id, entity: change.entity, reason: 'URL bookmarked again since' });
+            continue;
+        }
+
+        if (change.action === 'create') {
+            // Undoing a creation moves the document to the trash. A folder
+            // goes the way deleting it would, taking along whatever has been
+            // filed in it since.
+            if (!doc.deletedAt && change.entityType === 'Folder') {
+                await trashFolder(doc, undo);
+            } else if (!doc.deletedAt) {
+                doc.deletedAt = new Date();
+                await doc.save();
+                await recordChange(undo, change.entityType, doc, before);
+            }
+            await markUndone(change, undo, null);
+            result.reverted++;
+            continue;
+        }
+
+        const alreadyUndone = change.undoneFields || [];
+        const reverted = [];
+        const conflicted = [];
+        Object.entries(change.before)
+            .filter(([field]) => !alreadyUndone.includes(field))
+            .forEach(([field, value]) => {
+                if (isSameValue(before[field], change.after[field])) {
+                    doc[field] = value;
+                    reverted.push(field);
+                } else {
+                    conflicted.push(field);
+                }
+            });
+        if (conflicted.length > 0) {
+            result.conflicts.push({
+                change: change._id,
+                entity: change.entity,
+                reason: 'Changed again since',
+                fields: conflicted
+            });
+        }
+        if (reverted.length === 0) {
+            continue;
+        }
+
+        await doc.save();
+        await recordChange(undo, change.entityType, doc, before);
+        await markUndone(change, undo, reverted);
+        result.reverted++;
+    }
+
+    return result;
+};
+
+/**
+ * Undoes a single change
+ * @returns {Promise<Object|null>} - Undo result, or null if the change doesn't exist
+ */
+const undoChange = async (userId, changeId) => {
+    const change = await Change.findOne({ _id: changeId, user: userId });
+    if (!change) {
+        return null;
+    }
+    if (change.undoneAt) {
+        const error = new Error('This change has already been undone');
+        error.status = 409;
+        throw error;
+    }
+    return await revertChanges(userId, [change]);
+};
+
+/**
+ * Undoes every change of an operation that hasn't been undone yet
+ * @returns {Promise<Object|null>} - Undo result, or null if the operation doesn't exist
+ */
+const undoOperation = async (userId, operationId) => {
+    const changes = await Change.find({ user: userId, operation: operationId });
+    if (changes.length === 0) {
+        return null;
+    }
+    const pending = changes.filter(change => !change.undoneAt);
+    if (pending.length === 0) {
+        const error = new Error('This operation has already been undone');
+        error.status = 409;
+        throw error;
+    }
+    return await revertChanges(userId, pending);
+};
+
+module.exports = {
+    startOperation,
+    snapshot,
+    recordChange,
+    recordCreate,
+    trackedUpdateMany,
+    undoChange,
+    undoOperation
+};
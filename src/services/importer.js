@@ -0,0 +1,215 @@
+const Bookmark = require('../models/Bookmark');
+const Folder = require('../models/Folder');
+const IngestionJob = require('../models/IngestionJob');
+const { getBatchRunAt, kickDueJobs } = require('./ingestion');
+const { startOperation, recordCreate } = require('./history');
+const { getTagContext } = require('./tags');
+const { cleanUrl, canonicalizeUrl } = require('../utils/urlCleaner');
+const { processTags } = require('../utils/tagNormalizer');
+
+// Documents written per insertMany call
+const INSERT_BATCH_SIZE = 500;
+
+/**
+ * Resolves every folder path used by an import to a Folder ID, reusing the
+ * folders the user already has and creating missing ones with the right
+ * parent. Existing folders are loaded in one query; only new folders cost a
+ * write each.
+ * @param {string} userId - The user ID
+ * @param {string[][]} folderPaths - The folder paths (duplicates allowed)
+ * @param {Object} operation - History operation to record created folders under
+ * @returns {Promise<Object>} - { folderIds: Map of joined path -> ObjectId, created }
+ */
+const resolveFolders = async (userId, folderPaths, operation) => {
+    const existing = await Folder.find({ user: userId }).select('name parent').lean();
+    const byParentAndName = new Map(existing.map(folder => [
+        `${folder.parent || 'root'}/${folder.name}`,
+        folder._id
+    ]));
+
+    const folderIds = new Map();
+    const created = [];
+    for (const folderPath of folderPaths) {
+        const pathKey = folderPath.join('/');
+        if (folderPath.length === 0 || folderIds.has(pathKey)) continue;
+
+        let parentId = null;
+        for (const name of folderPath) {
+            const key = `${parentId || 'root'}/${name}`;
+            if (!byParentAndName.has(key)) {
+                const folder = await Folder.create({ user: userId, parent: parentId, name });
+                created.push(folder);
+                byParentAndName.set(key, folder._id);
+            }
+            parentId = byParentAndName.get(key);
+        }
+        folderIds.set(pathKey, parentId);
+    }
+
+    await recordCreate(operation, 'Folder', created);
+    return { folderIds, created: created.length };
+};
+
+/**
+ * Writes one batch of imported bookmarks with their ingestion jobs and
+ * history. Documents the database rejects are returned rather than thrown.
+ * @param {Object} operation - The import's history operation
+ * @param {Object[]} batch - [{ bookmark, job }] with unsaved documents
+ * @returns {Promise<Object[]>} - [{ bookmark, error }] for rejected entries
+ */
+const insertBatch = async (operation, batch) => {
+    const rejected = new Map();
+    try {
+        await Bookmark.insertMany(batch.map(item => item.bookmark), { ordered: false });
+    } catch (error) {
+        if (!error.writeErrors) throw error;
+        error.writeErrors.forEach(writeError => {
+            rejected.set(writeError.index, writeError.errmsg || writeError.message);
+        });
+    }
+
+    const inserted = batch.filter((item, index) => !rejected.has(index));
+    const jobs = inserted.map(item => item.job).filter(Boolean);
+    if (jobs.length > 0) {
+        await IngestionJob.insertMany(jobs);
+    }
+    await recordCreate(operation, 'Bookmark', inserted.map(item => item.bookmark));
+
+    return [...rejected].map(([index, error]) => ({ bookmark: batch[index].bookmark, error }));
+};
+
+/**
+ * Imports parsed bookmark entries for a user.
+ *
+ * Each entry becomes a pending bookmark with an ingestion job. Jobs are
+ * staggered in batches and picked up by the ingestion cron. Entries that
+ * already carry an excerpt use it as the summary and skip AI analysis.
+ * Everything created is recorded as one history operation, so the whole
+ * import can be undone.
+ *
+ * Entries are checked and their documents built up front, then written in
+ * batches of INSERT_BATCH_SIZE. Every batch is written before this returns,
+ * so the report only lists bookmarks that were actually stored.
+ *
+ * @param {string} userId - The user ID
+ * @param {Object[]} entries - Entries as produced by utils/importParsers
+ * @returns {Promise<Object>} - Report of created, skipped and failed entries
+ */
+const importBookmarks = async (userId, entries) => {
+    const operation = startOperation(userId, 'import');
+    const report = {
+        operationId: operation.id,
+        created: [],
+        skipped: [],
+        failed: [],
+        foldersCreated: 0
+    };
+
+    const existingUrls = new Set(await Bookmark.distinct('url', { user: userId }));
+    const { existingTags, ...tagOptions } = await getTagContext(userId);
+    const startTime = Date.now();
+    let queuedCount = 0;
+
+    const accepted = [];
+    for (const entry of entries) {
+        const title = entry.title || '';
+
+        if (!entry.url || !/^https?:\/\//i.test(entry.url)) {
+            report.failed.push({ url: entry.url, title, error: 'Unsupported or missing URL' });
+            continue;
+        }
+
+        const cleanedUrl = cleanUrl(entry.url);
+        if (existingUrls.has(cleanedUrl)) {
+            report.skipped.push({ url: cleanedUrl, title, reason: 'duplicate' });
+            continue;
+        }
+        existingUrls.add(cleanedUrl);
+        accepted.push({ entry, url: cleanedUrl, title });
+    }
+
+    const { folderIds, created } = await resolveFolders(
+        userId,
+        accepted.map(({ entry }) => entry.folderPath || []),
+        operation
+    );
+    report.foldersCreated = created;
+
+    const documents = [];
+    for (const { entry, url, title } of accepted) {
+        const tags = processTags(entry.tags || [], existingTags, tagOptions);
+        const excerpt = (entry.excerpt || '').trim();
+
+        const bookmark = new Bookmark({
+            url,
+            canonicalUrl: canonicalizeUrl(url),
+            title,
+            description: entry.description || '',
+            aiSummary: excerpt,
+            tags,
+            folder: folderIds.get((entry.folderPath || []).join('/')) || null,
+            isFavorite: !!entry.isFavorite,
+            user: userId,
+            // An export's own excerpt stands in for the AI summary
+            ...(excerpt && {
+                analysis: { status: 'succeeded', provider: 'import', analyzedAt: new Date() }
+            }),
+            ...(entry.addDate && { createdAt: entry.addDate })
+        });
+
+        const validationError = bookmark.validateSync();
+        if (validationError) {
+            report.failed.push({ url, title, error: validationError.message });
+            continue;
+        }
+
+        let job = null;
+        if (!excerpt) {
+            job = new IngestionJob({
+                bookmark: bookmark._id,
+                user: userId,
+                url,
+                runAt: getBatchRunAt(queuedCount, startTime)
+            });
+            queuedCount++;
+        }
+
+        tags.forEach(tag => {
+            if (!existingTags.includes(tag)) existingTags.push(tag);
+        });
+
+        documents.push({ bookmark, job });
+        report.created.push({
+            url,
+            title,
+            bookmarkId: bookmark._id,
+            jobId: job ? job._id : null
+        });
+    }
+
+    const batches = [];
+    for (let i = 0; i < documents.length; i += INSERT_BATCH_SIZE) {
+        batches.push(documents.slice(i, i + INSERT_BATCH_SIZE));
+    }
+
+    const rejectedIds = new Set();
+    for (const batch of batches) {
+        const rejected = await insertBatch(operation, batch);
+        rejected.forEach(({ bookmark, error }) => {
+            rejectedIds.add(bookmark._id.toString());
+            report.failed.push({ url: bookmark.url, title: bookmark.title, error });
+        });
+    }
+    report.created = report.created.filter(item => !rejectedIds.has(item.bookmarkId.toString()));
+    report.queuedForAnalysis = report.created.filter(item => item.jobId).length;
+
+    if (report.queuedForAnalysis > 0) {
+        kickDueJobs();
+    }
+
+    return report;
+};
+
+module.exports = {
+    importBookmarks
+};
@@ -0,0 +1,348 @@
+const Bookmark = require('../models/Bookmark');
+const IngestionJob = require('../models/IngestionJob');
+const User = require('../models/User');
+const { analyzeContent } = require('./ai');
+const { embedBookmark } = require('./embeddings');
+const { flagDuplicates } = require('./duplicates');
+const { saveContent } = require('./content');
+const { startOperation, snapshot, recordChange } = require('./history');
+const { getTagContext } = require('./tags');
+const { fetchContent } = require('../utils/contentFetcher');
+const { processTags } = require('../utils/tagNormalizer');
+const { measureContent } = require('../utils/readingTime');
+const { canonicalizeUrl } = require('../utils/urlCleaner');
+const { computeFingerprint } = require('../utils/simhash');
+
+// A claimed job whose worker hasn't reported back within this window is
+// assumed to have died with its serverless invocation and may be re-claimed.
+const LOCK_TIMEOUT_MS = 2 * 60 * 1000;
+const RETRY_BASE_DELAY_MS = 30 * 1000;
+
+// Jobs queued in bulk (imports, bulk reanalysis) are spread out so we don't
+// fire thousands of provider calls at once. Each job runs on the user's own
+// AI key, so ten a minute keeps one large import well inside a provider's
+// rate limits; the ingestion cron (routes/cron.js) can run more per minute,
+// which leaves room for retries and other users' jobs.
+const BATCH_SIZE = 10;
+const BATCH_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Creates a pending ingestion job for an already persisted bookmark
+ * @param {Object} bookmark - The bookmark document
+ * @param {Object} options - Optional settings
+ * @param {Date} options.runAt - Earliest time the job should run (defaults to now)
+ * @param {string} options.type - 'ingest' (default) or 'reanalyze'
+ * @param {boolean} options.keepTags - For reanalysis, keep the current tags
+ * @returns {Promise<Object>} - The created job
+ */
+const createIngestionJob = async (bookmark, { runAt, type = 'ingest', keepTags = false } = {}) => {
+    return await IngestionJob.create({
+        bookmark: bookmark._id,
+        user: bookmark.user,
+        url: bookmark.url,
+        type,
+        keepTags,
+        runAt: runAt || new Date()
+    });
+};
+
+/**
+ * Returns when the nth job of a bulk operation should run
+ * @param {number} index - Position of the job in the operation
+ * @param {number} startTime - Start of the operation (ms since epoch)
+ * @returns {Date} - The job's run time
+ */
+const getBatchRunAt = (index, startTime) => {
+    return new Date(startTime + Math.floor(index / BATCH_SIZE) * BATCH_INTERVAL_MS);
+};
+
+/**
+ * Starts on the first batch of due jobs without waiting; the rest are
+ * left to the ingestion cron
+ */
+const kickDueJobs = () => {
+    processDueJobs(BATCH_SIZE).catch(error => {
+        console.error('Background ingestion error:', error);
+    });
+};
+
+/**
+ * Queues reanalysis jobs for bookmarks, throttled in batches. Bookmarks that
+ * already have a queued or running job are skipped.
+ * @param {Object[]} bookmarks - The bookmark documents
+ * @param {Object} options - Optional settings
+ * @param {boolean} options.keepTags - Keep each bookmark's current tags
+ * @returns {Promise<Object>} - { queued: [{ bookmarkId, jobId }], skipped: [bookmarkId] }
+ */
+const queueReanalysis = async (bookmarks, { keepTags = false } = {}) => {
+    const active = new Set((await IngestionJob.distinct('bookmark', {
+        bookmark: { $in: bookmarks.map(b => b._id) },
+        status: { $in: ['pending', 'processing'] }
+    })).map(id => id.toString()));
+
+    const result = { queued: [], skipped: [] };
+    const startTime = Date.now();
+
+    for (const bookmark of bookmarks) {
+        if (active.has(bookmark._id.toString())) {
+            result.skipped.push(bookmark._id);
+            continue;
+        }
+        const job = await createIngestionJob(bookmark, {
+            type: 'reanalyze',
+            keepTags,
+            runAt: getBatchRunAt(result.queued.length, startTime)
+        });
+        result.queued.push({ bookmarkId: bookmark._id, jobId: job._id });
+    }
+
+    if (result.queued.length > 0) {
+        kickDueJobs();
+    }
+
+    return result;
+};
+
+/**
+ * Finds a user's bookmarks whose last analysis failed entirely or in part
+ * @param {string} userId - The user ID
+ * @returns {Promise<Object[]>} - The bookmark documents
+ */
+const findFailedAnalyses = async (userId) => {
+    return await Bookmark.find({
+        user: userId,
+        'analysis.status': { $in: ['failed', 'partial'] }
+    });
+};
+
+/**
+ * Determines whether a job is waiting to run and its run time has passed
+ * @param {Object} job - The ingestion job
+ * @returns {boolean}
+ */
+const isJobDue = (job) => {
+    const now = Date.now();
+    if (job.status === 'pending') {
+        return !job.runAt || job.runAt.getTime() <= now;
+    }
+    if (job.status === 'processing') {
+        return !job.lockedAt || job.lockedAt.getTime() <= now - LOCK_TIMEOUT_MS;
+    }
+    return false;
+};
+
+/**
+ * Atomically claims a job so concurrent invocations don't process it twice
+ * @param {string} jobId - The job ID
+ * @returns {Promise<Object|null>} - The claimed job or null if not claimable
+ */
+const claimJob = async (jobId) => {
+    const now = new Date();
+    return await IngestionJob.findOneAndUpdate(
+        {
+            _id: jobId,
+            $or: [
+                { status: 'pending', runAt: { $lte: now } },
+                { status: 'processing', lockedAt: { $lte: new Date(now.getTime() - LOCK_TIMEOUT_MS) } }
+            ]
+        },
+        {
+            $set: { status: 'processing', lockedAt: now },
+            $inc: { attempts: 1 }
+        },
+        { new: true }
+    );
+};
+
+/**
+ * Fetches, analyzes and tags the bookmark behind a claimed job
+ * @param {Object} job - The claimed ingestion job
+ */
+const ingestBookmark = async (job) => {
+    const bookmark = await Bookmark.findById(job.bookmark);
+    if (!bookmark) {
+        throw new Error('Bookmark no longer exists');
+    }
+
+    const user = await User.findById(job.user).select('+openAiKey +claudeKey');
+    if (!user) {
+        throw new Error('User no longer exists');
+    }
+
+    const fetchedContent = await fetchContent(job.url);
+    if (!fetchedContent || !fetchedContent.content) {
+        throw new Error('No content could be fetched from URL');
+    }
+
+    const { existingTags, ...tagOptions } = await getTagContext(job.user, { excludeBookmark: bookmark._id });
+
+    const analysisResult = await analyzeContent(job.url, fetchedContent.content, user, { existingTags });
+    const { errors } = analysisResult.analysis;
+
+    // Nothing was generated (bad key, rate limit, provider outage), so fail
+    // the job and let it be retried with backoff
+    if (analysisResult.analysis.status === 'failed') {
+        const error = new Error(`AI analysis failed: ${errors.summary}`);
+        error.analysisErrors = errors;
+        throw error;
+    }
+
+    // Imported bookmarks may already carry a curated title and description,
+    // and fields the user edited by hand are never overwritten
+    const refresh = job.type === 'reanalyze';
+    const { overrides } = bookmark;
+    const before = snapshot('Bookmark', bookmark);
+    if (!overrides.title && (refresh || !bookmark.title)) {
+        bookmark.title = fetchedContent.title || bookmark.title;
+    }
+    if (!overrides.description && (refresh || !bookmark.description)) {
+        bookmark.description = fetchedContent.description || bookmark.description;
+    }
+
+    // New bookmarks keep any imported tags; reanalysis replaces the tags
+    // unless asked to keep them (or tag generation failed)
+    const replaceTags = refresh && !job.keepTags && !errors.tags;
+    const currentTags = replaceTags ? [] : bookmark.tags;
+
+    // Fields that failed keep whatever the bookmark already had
+    if (!errors.summary && !overrides.aiSummary) bookmark.aiSummary = analysisResult.summary;
+    if (!errors.category) bookmark.category = analysisResult.category;
+    bookmark.tags = processTags([...currentTags, ...analysisResult.tags], existingTags, tagOptions);
+
+    // A missing embedding only affects semantic search, so it's reported
+    // alongside the analysis rather than failing the job
+    try {
+        await embedBookmark(bookmark, user, fetchedContent.content);
+    } catch (error) {
+        console.error('Embedding failed:', { bookmarkId: bookmark._id, message: error.message });
+        analysisResult.analysis.errors = { ...errors, embedding: error.message };
+    }
+    bookmark.analysis = analysisResult.analysis;
+
+    const measured = measureContent(fetchedContent);
+    if (measured) {
+        bookmark.wordCount = measured.wordCount;
+        bookmark.readingTime = measured.readingTime;
+    }
+
+    // The page's rel=canonical link and a fingerprint of its text catch
+    // duplicates the URL alone can't
+    bookmark.canonicalUrl = canonicalizeUrl(fetchedContent.canonicalUrl || bookmark.url);
+    bookmark.fingerprint = computeFingerprint(fetchedContent.content);
+    await flagDuplicates(bookmark);
+
+    await bookmark.save();
+    await saveContent(bookmark, fetchedContent);
+
+    // Analysis runs in the background, so the change has no actor
+    const operation = startOperation(job.user, `analysis:${job.type}`, { actor: null });
+    await recordChange(operation, 'Bookmark', bookmark, before);
+};
+
+/**
+ * Runs a single ingestion job, recording the outcome and scheduling a retry
+ * with exponential backoff when attempts remain
+ * @param {string} jobId - The job ID
+ * @returns {Promise<Object|null>} - The updated job or null if it couldn't be claimed
+ */
+const processJob = async (jobId) => {
+    const job = await claimJob(jobId);
+    if (!job) {
+        return null;
+    }
+
+    try {
+        await ingestBookmark(job);
+
+        job.status = 'completed';
+        job.lastError = null;
+        job.lockedAt = null;
+        job.completedAt = new Date();
+    } catch (error) {
+        console.error('Ingestion job failed:', {
+            jobId: job._id,
+            attempt: job.attempts,
+            message: error.message
+        });
+
+        job.lastError = error.message;
+        job.failures.push({ attempt: job.attempts, message: error.message });
+        job.lockedAt = null;
+
+        if (job.attempts < job.maxAttempts) {
+            job.status = 'pending';
+            job.runAt = new Date(Date.now() + RETRY_BASE_DELAY_MS * 2 ** (job.attempts - 1));
+        } else {
+            job.status = 'failed';
+            await Bookmark.updateOne({ _id: job.bookmark }, {
+                $set: {
+                    'analysis.status': 'failed',
+                    'analysis.errors': error.analysisErrors || { fetch: error.message },
+                    'analysis.analyzedAt': new Date()
+                }
+            });
+        }
+    }
+
+    await job.save();
+    return job;
+};
+
+/**
+ * Starts a job without waiting for it, logging rather than throwing on error
+ * @param {string} jobId - The job ID
+ */
+const runJobInBackground = (jobId) => {
+    processJob(jobId).catch(error => {
+        console.error('Background ingestion error:', error);
+    });
+};
+
+/**
+ * Processes the jobs that are currently due, oldest first, a few at a time.
+ * Once the deadline passes no new job is started; jobs already running are
+ * waited for, and the rest stay queued for the next run.
+ * @param {number} limit - Maximum number of jobs to process
+ * @param {Object} options - Optional settings
+ * @param {number} options.concurrency - Number of jobs run side by side
+ * @param {number} options.deadline - Time (ms since epoch) after which no job is started
+ * @returns {Promise<number>} - Number of jobs processed
+ */
+const processDueJobs = async (limit = 10, { concurrency = 1, deadline = Infinity } = {}) => {
+    const now = new Date();
+    const jobs = await IngestionJob.find({
+        $or: [
+            { status: 'pending', runAt: { $lte: now } },
+            { status: 'processing', lockedAt: { $lte: new Date(now.getTime() - LOCK_TIMEOUT_MS) } }
+        ]
+    })
+        .sort({ runAt: 1 })
+        .limit(limit)
+        .select('_id');
+
+    let next = 0;
+    let processed = 0;
+    const worker = async () => {
+        while (next < jobs.length && Date.now() < deadline) {
+            const job = jobs[next++];
+            if (await processJob(job._id)) {
+                processed++;
+            }
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(concurrency, jobs.length) }, worker));
+    return processed;
+};
+
+module.exports = {
+    createIngestionJob,
+    getBatchRunAt,
+    kickDueJobs,
+    queueReanalysis,
+    findFailedAnalyses,
+    isJobDue,
+    processJob,
+    runJobInBackground,
+    processDueJobs
+};
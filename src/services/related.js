@@ -0,0 +1,125 @@
+const Bookmark = require('../models/Bookmark');
+const { getAncestors } = require('../utils/tagHierarchy');
+const { getDomain } = require('../utils/urlCleaner');
+const { cosineSimilarity, hashingEmbedding } = require('../utils/vectors');
+
+const DEFAULT_RELATED_LIMIT = 10;
+// Results scoring below this aren't worth showing
+const MIN_RELATED_SCORE = 0.05;
+// How much each signal contributes to the score; they add up to 1
+const SIGNAL_WEIGHTS = {
+    tags: 0.5,
+    summary: 0.25,
+    domain: 0.15,
+    folder: 0.1
+};
+// Summaries less similar than this don't count as a match
+const MIN_SUMMARY_SIMILARITY = 0.2;
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+// A bookmark tagged "ai/ml/transformers" also shares "ai" and "ai/ml"
+const expandTags = (tags) => new Set((tags || []).flatMap(tag => [...getAncestors(tag), tag]));
+
+/**
+ * Drops shared tags that are ancestors of other shared tags, so the
+ * explanation names only the most specific ones
+ * @param {string[]} tags - Shared tags
+ * @returns {string[]}
+ */
+const mostSpecific = (tags) => tags.filter(tag =>
+    !tags.some(other => other !== tag && getAncestors(other).includes(tag))
+);
+
+/**
+ * Describes the reasons of a match in a sentence
+ * @param {Object[]} reasons - Reasons from findRelated
+ * @returns {string}
+ */
+const explain = (reasons) => reasons.map(reason => {
+    switch (reason.type) {
+        case 'tags':
+            return `Shares ${reason.tags.length === 1 ? 'tag' : 'tags'} ${reason.tags.join(', ')}`;
+        case 'summary':
+            return `Similar summary (${Math.round(reason.similarity * 100)}%)`;
+        case 'domain':
+            return `Also from ${reason.domain}`;
+        case 'folder':
+            return 'In the same folder';
+    }
+}).join('; ');
+
+/**
+ * Ranks the owner's other bookmarks by how related they are to a bookmark:
+ * shared tags (rarer tags count for more), text similarity of the AI
+ * summaries, the same domain and the same folder
+ * @param {Object} bookmark - The bookmark
+ * @param {Object} options - Optional settings
+ * @param {number} options.limit - Maximum number of results
+ * @returns {Promise<Object[]>} - [{ bookmark, score, reasons, explanation }], best first.
+ *                                score is 0-1; reasons are { type, score, ... } per signal
+ */
+const findRelated = async (bookmark, { limit = DEFAULT_RELATED_LIMIT } = {}) => {
+    const candidates = await Bookmark.find({ user: bookmark.user, _id: { $ne: bookmark._id } })
+        .select('title url tags folder category aiSummary isFavorite createdAt')
+        .lean();
+
+    // Weight each tag by its inverse document frequency over the library
+    const sourceTags = expandTags(bookmark.tags);
+    const candidateTags = candidates.map(candidate => expandTags(candidate.tags));
+    const documentFrequency = new Map();
+    [sourceTags, ...candidateTags].forEach(tags => tags.forEach(tag => {
+        documentFrequency.set(tag, (documentFrequency.get(tag) || 0) + 1);
+    }));
+    const librarySize = candidates.length + 1;
+    const tagWeight = (tag) => Math.log(1 + librarySize / documentFrequency.get(tag));
+    const sourceTagWeight = [...sourceTags].reduce((sum, tag) => sum + tagWeight(tag), 0);
+
+    const domain = getDomain(bookmark.url);
+    const folder = bookmark.folder ? bookmark.folder.toString() : null;
+    const summaryVector = bookmark.aiSummary ? hashingEmbedding(bookmark.aiSummary) : null;
+
+    const results = candidates.map((candidate, index) => {
+        const reasons = [];
+
+        const shared = [...sourceTags].filter(tag => candidateTags[index].has(tag));
+        if (shared.length > 0) {
+            const weight = shared.reduce((sum, tag) => sum + tagWeight(tag), 0) / sourceTagWeight;
+            const tags = mostSpecific(shared).sort((a, b) => tagWeight(b) - tagWeight(a));
+            reasons.push({ type: 'tags', score: round(SIGNAL_WEIGHTS.tags * weight), tags });
+        }
+
+        if (summaryVector && candidate.aiSummary) {
+            const similarity = cosineSimilarity(summaryVector, hashingEmbedding(candidate.aiSummary));
+            if (similarity >= MIN_SUMMARY_SIMILARITY) {
+                reasons.push({ type: 'summary', score: round(SIGNAL_WEIGHTS.summary * similarity), similarity: round(similarity) });
+            }
+        }
+
+        if (domain && getDomain(candidate.url) === domain) {
+            reasons.push({ type: 'domain', score: SIGNAL_WEIGHTS.domain, domain });
+        }
+
+        if (folder && candidate.folder && candidate.folder.toString() === folder) {
+            reasons.push({ type: 'folder', score: SIGNAL_WEIGHTS.folder, folder });
+        }
+
+        reasons.sort((a, b) => b.score - a.score);
+        return {
+            bookmark: candidate,
+            score: round(reasons.reduce((sum, reason) => sum + reason.score, 0)),
+            reasons,
+            explanation: explain(reasons)
+        };
+    });
+
+    return results
+        .filter(result => result.score >= MIN_RELATED_SCORE)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+};
+
+module.exports = {
+    DEFAULT_RELATED_LIMIT,
+    findRelated
+};
@@ -0,0 +1,41 @@
+const Bookmark = require('../models/Bookmark');
+const { buildSearchFilter } = require('../utils/searchQuery');
+
+/**
+ * Builds the bookmark filter for a saved search
+ * @param {string} userId - The user ID
+ * @param {Object} savedSearch - The SavedSearch document
+ * @returns {Object} - Mongo filter for the Bookmark collection
+ * @throws {Error} - With status 400 if the stored query no longer compiles
+ */
+const buildSavedSearchFilter = (userId, savedSearch) =>
+    buildSearchFilter(userId, { query: savedSearch.query });
+
+/**
+ * Formats saved searches as smart folders with a live bookmark count
+ * @param {string} userId - The user ID
+ * @param {Object[]} savedSearches - SavedSearch documents
+ * @returns {Promise<Object[]>} - Plain objects with isSmart and bookmarkCount added
+ */
+const withBookmarkCounts = async (userId, savedSearches) => {
+    return await Promise.all(savedSearches.map(async (savedSearch) => {
+        const smartFolder = savedSearch.toObject();
+        smartFolder.isSmart = true;
+        smartFolder.subfolders = [];
+
+        try {
+            smartFolder.bookmarkCount = await Bookmark.countDocuments(buildSavedSearchFilter(userId, savedSearch));
+        } catch (error) {
+            if (error.status !== 400) throw error;
+            // A query that stopped compiling (e.g. a removed category) shows as empty
+            smartFolder.bookmarkCount = 0;
+            smartFolder.error = error.message;
+        }
+        return smartFolder;
+    }));
+};
+
+module.exports = {
+    buildSavedSearchFilter,
+    withBookmarkCounts
+};
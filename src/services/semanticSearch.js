@@ -0,0 +1,103 @@
+const Bookmark = require('../models/Bookmark');
+const { embedText } = require('./embeddings');
+const { searchVectors } = require('./vectorIndex');
+
+const SEARCH_MODES = ['text', 'semantic', 'hybrid'];
+// How many matches each ranking contributes at most
+const MAX_RESULTS = 100;
+// Reciprocal rank fusion constant; larger values flatten the head of each ranking
+const RRF_K = 60;
+
+/**
+ * Turns a $text search string into plain text for embedding, dropping
+ * excluded words and phrase quotes
+ * @param {string} text - e.g. 'vector "search engine" -elastic'
+ * @returns {string} - e.g. 'vector search engine'
+ */
+const toEmbeddingQuery = (text) => text
+    .replace(/(^|\s)-\S+/g, ' ')
+    .replace(/"/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+/**
+ * Ranks the bookmarks matching a filter by similarity to a text
+ * @param {Object} user - The user, with API keys selected
+ * @param {Object} filter - Bookmark filter (without $text)
+ * @param {string} text - The search text
+ * @returns {Promise<Object[]>} - [{ id, score, similarity }], best first
+ */
+const semanticSearch = async (user, filter, text) => {
+    const { vector, model } = await embedText(toEmbeddingQuery(text), user);
+    const matches = await searchVectors({ filter, model, vector, limit: MAX_RESULTS });
+    return matches.map(({ id, score }) => ({ id, score, similarity: score }));
+};
+
+/**
+ * Ranks the bookmarks matching a filter by both similarity and text score,
+ * fused with reciprocal rank fusion. Ranks rather than raw scores are
+ * combined, since cosine similarity and textScore aren't on the same scale.
+ * @param {Object} user - The user, with API keys selected
+ * @param {Object} filter - Bookmark filter (without $text)
+ * @param {string} text - The search text
+ * @returns {Promise<Object[]>} - [{ id, score, similarity, textScore }], best first;
+ *                                similarity/textScore are null where a ranking missed it
+ */
+const hybridSearch = async (user, filter, text) => {
+    const [semanticMatches, textMatches] = await Promise.all([
+        semanticSearch(user, filter, text),
+        Bookmark.find({ ...filter, $text: { $search: text } })
+            .select({ score: { $meta: 'textScore' } })
+            .sort({ score: { $meta: 'textScore' } })
+            .limit(MAX_RESULTS)
+            .lean()
+    ]);
+
+    const fused = new Map();
+    const getEntry = (id) => {
+        const key = id.toString();
+        if (!fused.has(key)) {
+            fused.set(key, { id, score: 0, similarity: null, textScore: null });
+        }
+        return fused.get(key);
+    };
+
+    semanticMatches.forEach((match, rank) => {
+        const entry = getEntry(match.id);
+        entry.similarity = match.similarity;
+        entry.score += 1 / (RRF_K + rank + 1);
+    });
+    textMatches.forEach((match, rank) => {
+        const entry = getEntry(match._id);
+        entry.textScore = match.score;
+        entry.score += 1 / (RRF_K + rank + 1);
+    });
+
+    return [...fused.values()]
+        .sort((a, b) => b.score - a.score)
+        .slice(0, MAX_RESULTS);
+};
+
+/**
+ * Loads a page of ranked bookmarks in rank order, with their scores attached
+ * @param {Object[]} matches - Ranked matches from semanticSearch or hybridSearch
+ * @param {number} skip - Matches to skip
+ * @param {number} limit - Page size
+ * @returns {Promise<Object[]>} - Bookmark JSON objects with the match's scores
+ */
+const loadRankedBookmarks = async (matches, skip, limit) => {
+    const page = matches.slice(skip, skip + limit);
+    const bookmarks = await Bookmark.find({ _id: { $in: page.map(match => match.id) } });
+    const byId = new Map(bookmarks.map(bookmark => [bookmark._id.toString(), bookmark]));
+
+    return page
+        .filter(match => byId.has(match.id.toString()))
+        .map(({ id, ...scores }) => ({ ...byId.get(id.toString()).toJSON(), ...scores }));
+};
+
+module.exports = {
+    SEARCH_MODES,
+    semanticSearch,
+    hybridSearch,
+    loadRankedBookmarks
+};
@@ -0,0 +1,290 @@
+const Bookmark = require('../models/Bookmark');
+const TagAlias = require('../models/TagAlias');
+const User = require('../models/User');
+const { trackedUpdateMany } = require('./history');
+const { normalizeTag, resolveTagSettings } = require('../utils/tagNormalizer');
+const { TAG_PATH_SEPARATOR, splitTagPath, tagMatchCondition } = require('../utils/tagHierarchy');
+
+/**
+ * Cleans up a tag name chosen by the user. Unlike normalizeTag this keeps
+ * plurals, since the user picked the exact name.
+ * @param {string} tag - The tag
+ * @returns {string} - The cleaned tag
+ */
+const cleanTagName = (tag) => splitTagPath(String(tag || '').toLowerCase()).join(TAG_PATH_SEPARATOR);
+
+/**
+ * Loads what processTags needs to normalize tags for a user
+ * @param {string} userId - The user ID
+ * @param {Object} options - Optional settings
+ * @param {string} options.excludeBookmark - Leave this bookmark's tags out of existingTags
+ * @returns {Promise<Object>} - { existingTags, aliases, settings }; pass
+ *                            existingTags and the rest as processTags options
+ */
+const getTagContext = async (userId, { excludeBookmark } = {}) => {
+    const filter = { user: userId };
+    if (excludeBookmark) {
+        filter._id = { $ne: excludeBookmark };
+    }
+
+    const [existingTags, aliases, user] = await Promise.all([
+        Bookmark.distinct('tags', filter),
+        loadAliases(userId),
+        User.findById(userId).select('tagSettings').lean()
+    ]);
+
+    return { existingTags, aliases, settings: user && user.tagSettings };
+};
+
+/**
+ * Returns normalizeTag bound to a user's preserved terms, so aliases are
+ * keyed the same way processTags looks them up
+ * @param {string} userId - The user ID
+ * @returns {Promise<Function>} - (tag) => normalized tag
+ */
+const loadTagNormalizer = async (userId) => {
+    const user = await User.findById(userId).select('tagSettings').lean();
+    const { preservedTerms } = resolveTagSettings(user && user.tagSettings);
+    return (tag) => normalizeTag(tag, { preservedTerms });
+};
+
+/**
+ * Loads a user's tag aliases
+ * @param {string} userId - The user ID
+ * @returns {Promise<Map<string, string>>} - Normalized alias -> canonical tag
+ */
+const loadAliases = async (userId) => {
+    const aliases = await TagAlias.find({ user: userId }).lean();
+    return new Map(aliases.map(({ alias, tag }) => [alias, tag]));
+};
+
+/**
+ * Replaces tags with a target tag on every bookmark that has one of them,
+ * keeping each bookmark's tag order and dropping duplicates
+ * @param {Object} operation - History operation to record the changes under
+ * @param {string[]} sources - Tags to replace
+ * @param {string} target - The tag to replace them with
+ * @returns {Promise<number>} - Number of bookmarks changed
+ */
+const replaceTags = async (operation, sources, target) => {
+    return await trackedUpdateMany(
+        operation,
+        'Bookmark',
+        { user: operation.user, tags: { $in: sources } },
+        [{
+            $set: {
+                tags: {
+                    $reduce: {
+                        input: {
+                            $map: {
+                                input: '$tags',
+                                in: { $cond: [{ $in: ['$$this', sources] }, target, '$$this'] }
+                            }
+                        },
+                        initialValue: [],
+                        in: {
+                            $cond: [
+                                { $in: ['$$this', '$$value'] },
+                                '$$value',
+                                { $concatArrays: ['$$value', ['$$this']] }
+                            ]
+                        }
+                    }
+                }
+            }
+        }]
+    );
+};
+
+/**
+ * Renames a tag and moves its descendants along with it
+ * ("ai/ml" -> "machine learning" turns "ai/ml/transformers" into
+ * "machine learning/transformers"), keeping tag order and dropping duplicates
+ * @param {Object} operation - History operation to record the changes under
+ * @param {string} from - The current tag
+ * @param {string} to - The new tag
+ * @returns {Promise<number>} - Number of bookmarks changed
+ */
+const movePathTags = async (operation, from, to) => {
+    const prefix = from + TAG_PATH_SEPARATOR;
+    return await trackedUpdateMany(
+        operation,
+        'Bookmark',
+        { user: operation.user, tags: tagMatchCondition([from]) },
+        [{
+            $set: {
+                tags: {
+                    $reduce: {
+                        input: {
+                            $map: {
+                                input: '$tags',
+                                in: {
+                                    $switch: {
+                                        branches: [
+                                            { case: { $eq: ['$$this', from] }, then: to },
+                                            {
+                                                case: { $eq: [{ $indexOfCP: ['$$this', prefix] }, 0] },
+                                                then: {
+                                                    $concat: [
+                                                        to + TAG_PATH_SEPARATOR,
+                                                        { $substrCP: ['$$this', [...prefix].length, { $strLenCP: '$$this' }] }
+                                                    ]
+                                                }
+                                            }
+                                        ],
+                                        default: '$$this'
+                                    }
+                                }
+                            }
+                        },
+                        initialValue: [],
+                        in: {
+                            $cond: [
+                                { $in: ['$$this', '$$value'] },
+                                '$$value',
+                                { $concatArrays: ['$$value', ['$$this']] }
+                            ]
+                        }
+                    }
+                }
+            }
+        }]
+    );
+};
+
+/**
+ * Points aliases of merged-away tags at the tag they were merged into, and
+ * optionally registers the old names themselves as aliases
+ */
+const redirectAliases = async (userId, sources, target, { registerSources = false } = {}) => {
+    await TagAlias.updateMany({ user: userId, tag: { $in: sources } }, { $set: { tag: target } });
+
+    if (registerSources) {
+        const normalize = await loadTagNormalizer(userId);
+        for (const source of sources) {
+            const alias = normalize(source);
+            if (alias && alias !== target) {
+                await TagAlias.updateOne(
+                    { user: userId, alias },
+                    { $set: { tag: target } },
+                    { upsert: true }
+                );
+            }
+        }
+    }
+
+    // An alias can't map a tag onto itself
+    await TagAlias.deleteMany({ user: userId, alias: target, tag: target });
+};
+
+/**
+ * Renames a tag across the library, along with its descendants
+ * @param {Object} operation - History operation (its user owns the bookmarks)
+ * @param {string} from - The current tag
+ * @param {string} to - The new tag
+ * @param {Object} options - Optional settings
+ * @param {boolean} options.alias - Register the old name as an alias of the new one
+ * @returns {Promise<number>} - Number of bookmarks changed
+ */
+const renameTag = async (operation, from, to, { alias = false } = {}) => {
+    // Stored tags are lowercase, so "React" has to find "react"
+    const source = cleanTagName(from);
+    const target = cleanTagName(to);
+    const modified = await movePathTags(operation, source, target);
+    await redirectAliases(operation.user, [source], target, { registerSources: alias });
+    return modified;
+};
+
+/**
+ * Merges several tags into one across the library
+ * @param {Object} operation - History operation (its user owns the bookmarks)
+ * @param {string[]} tags - The tags to merge
+ * @param {string} into - The tag to merge them into (may be one of them)
+ * @param {Object} options - Optional settings
+ * @param {boolean} options.alias - Register the merged names as aliases
+ * @returns {Promise<number>} - Number of bookmarks changed
+ */
+const mergeTags = async (operation, tags, into, { alias = false } = {}) => {
+    const target = cleanTagName(into);
+    const sources = [...new Set(tags.map(cleanTagName))].filter(tag => tag && tag !== target);
+    const modified = await replaceTags(operation, sources, target);
+    await redirectAliases(operation.user, sources, target, { registerSources: alias });
+    return modified;
+};
+
+/**
+ * Removes a tag from every bookmark, along with the aliases pointing at it
+ * @param {Object} operation - History operation (its user owns the bookmarks)
+ * @param {string} tag - The tag to delete
+ * @returns {Promise<number>} - Number of bookmarks changed
+ */
+const deleteTag = async (operation, tag) => {
+    const name = cleanTagName(tag);
+    const modified = await trackedUpdateMany(
+        operation,
+        'Bookmark',
+        { user: operation.user, tags: name },
+        { $pull: { tags: name } }
+    );
+    await TagAlias.deleteMany({ user: operation.user, tag: name });
+    return modified;
+};
+
+/**
+ * Registers an alias and applies it to bookmarks already tagged with it
+ * @param {Object} operation - History operation (its user owns the bookmarks)
+ * @param {string} alias - The alternative spelling
+ * @param {string} tag - The canonical tag
+ * @returns {Promise<Object>} - { alias, modifiedCount }
+ * @throws {Error} - With status 400 if the alias is the tag itself
+ */
+const addAlias = async (operation, alias, tag) => {
+    const userId = operation.user;
+    const normalize = await loadTagNormalizer(userId);
+    const normalizedAlias = normalize(alias);
+    let target = cleanTagName(tag);
+
+    // Follow an alias-of-an-alias to its canonical tag
+    const targetAlias = await TagAlias.findOne({ user: userId, alias: normalize(target) });
+    if (targetAlias) {
+        target = targetAlias.tag;
+    }
+
+    if (!normalizedAlias || normalizedAlias === normalize(target)) {
+        const error = new Error('An alias must differ from its tag');
+        error.status = 400;
+        throw error;
+    }
+
+    const saved = await TagAlias.findOneAndUpdate(
+        { user: userId, alias: normalizedAlias },
+        { $set: { tag: target } },
+        { upsert: true, new: true, runValidators: true }
+    );
+    // Aliases that pointed at the new alias now point at its tag
+    await TagAlias.updateMany(
+        { user: userId, tag: { $in: [...new Set([normalizedAlias, cleanTagName(alias)])] } },
+        { $set: { tag: target } }
+    );
+
+    // Existing bookmarks carrying the alias (in any spelling that normalizes
+    // to it) move onto the canonical tag too
+    const existingTags = await Bookmark.distinct('tags', { user: userId });
+    const sources = existingTags.filter(existing =>
+        existing !== target && normalize(existing) === normalizedAlias
+    );
+    const modifiedCount = sources.length > 0 ? await replaceTags(operation, sources, target) : 0;
+
+    return { alias: saved, modifiedCount };
+};
+
+module.exports = {
+    cleanTagName,
+    getTagContext,
+    loadTagNormalizer,
+    loadAliases,
+    renameTag,
+    mergeTags,
+    deleteTag,
+    addAlias
+};
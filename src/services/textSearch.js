@@ -0,0 +1,86 @@
+const Bookmark = require('../models/Bookmark');
+const BookmarkContent = require('../models/BookmarkContent');
+const { buildSnippets } = require('../utils/snippets');
+
+// Matches in the stored page text count for less than matches in the
+// bookmark's own fields, which the text index already weights title first
+const CONTENT_SCORE_WEIGHT = 0.5;
+// Bookmark fields snippets are taken from, in display order
+const SNIPPET_FIELDS = ['title', 'description', 'aiSummary', 'notes'];
+
+/**
+ * Finds the bookmarks matching a $text search in either their own fields or
+ * their stored page content, ranked by combined text score. Only IDs and
+ * scores are loaded, so the whole match set can be counted and paged.
+ * @param {string} userId - The user ID
+ * @param {Object} filter - Bookmark filter (without $text)
+ * @param {string} text - The $text search string
+ * @param {Object} options - Optional settings
+ * @param {number} options.limit - Only look at this many of the best matches
+ *                                 from each source, for callers that just need the top few
+ * @returns {Promise<Object[]>} - [{ id, score }], best first
+ */
+const keywordSearch = async (userId, filter, text, { limit } = {}) => {
+    const bookmarkQuery = Bookmark.find({ ...filter, $text: { $search: text } })
+        .select({ score: { $meta: 'textScore' } })
+        .lean();
+    const contentQuery = BookmarkContent.find({ user: userId, $text: { $search: text } })
+        .select({ bookmark: 1, score: { $meta: 'textScore' } })
+        .lean();
+    if (limit) {
+        [bookmarkQuery, contentQuery].forEach(query => {
+            query.sort({ score: { $meta: 'textScore' } }).limit(limit);
+        });
+    }
+    const [bookmarkMatches, contentMatches] = await Promise.all([bookmarkQuery, contentQuery]);
+
+    // Content matches still have to pass the rest of the filter (and not be in the trash)
+    const allowed = contentMatches.length > 0
+        ? await Bookmark.distinct('_id', { ...filter, _id: { $in: contentMatches.map(match => match.bookmark) } })
+        : [];
+    const allowedIds = new Set(allowed.map(id => id.toString()));
+
+    const scores = new Map();
+    bookmarkMatches.forEach(match => {
+        scores.set(match._id.toString(), { id: match._id, score: match.score });
+    });
+    contentMatches
+        .filter(match => allowedIds.has(match.bookmark.toString()))
+        .forEach(match => {
+            const key = match.bookmark.toString();
+            const entry = scores.get(key) || { id: match.bookmark, score: 0 };
+            entry.score += CONTENT_SCORE_WEIGHT * match.score;
+            scores.set(key, entry);
+        });
+
+    const ranked = [...scores.values()].sort((a, b) => b.score - a.score);
+    return limit ? ranked.slice(0, limit) : ranked;
+};
+
+/**
+ * Adds highlighted snippets of where the search text matched to a page of
+ * results, from the bookmark's fields and its stored page content
+ * @param {Object[]} bookmarks - Bookmark documents or their JSON
+ * @param {string} text - The $text search string
+ * @returns {Promise<Object[]>} - The bookmarks as JSON, each with snippets: [{ field, html }]
+ */
+const attachSnippets = async (bookmarks, text) => {
+    const contents = await BookmarkContent.find({ bookmark: { $in: bookmarks.map(bookmark => bookmark._id) } })
+        .select('bookmark text')
+        .lean();
+    const textByBookmark = new Map(contents.map(content => [content.bookmark.toString(), content.text]));
+
+    return bookmarks.map(bookmark => {
+        const result = typeof bookmark.toJSON === 'function' ? bookmark.toJSON() : bookmark;
+        const fields = [
+            ...SNIPPET_FIELDS.map(field => ({ field, text: result[field] })),
+            { field: 'content', text: textByBookmark.get(result._id.toString()) }
+        ];
+        return { ...result, snippets: buildSnippets(fields, text) };
+    });
+};
+
+module.exports = {
+    keywordSearch,
+    attachSnippets
+};
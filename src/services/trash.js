@@ -0,0 +1,205 @@
+const Bookmark = require('../models/Bookmark');
+const BookmarkContent = require('../models/BookmarkContent');
+const Folder = require('../models/Folder');
+const Highlight = require('../models/Highlight');
+const IngestionJob = require('../models/IngestionJob');
+const Visit = require('../models/Visit');
+const { startOperation, snapshot, recordChange, trackedUpdateMany } = require('./history');
+
+const DEFAULT_RETENTION_DAYS = 30;
+
+/**
+ * Number of days trashed items are kept before being purged
+ * @returns {number}
+ */
+const getRetentionDays = () => {
+    const days = parseInt(process.env.TRASH_RETENTION_DAYS, 10);
+    return days > 0 ? days : DEFAULT_RETENTION_DAYS;
+};
+
+/**
+ * When an item trashed at the given time will be purged
+ * @param {Date} deletedAt - When the item was trashed
+ * @returns {Date}
+ */
+const getPurgeDate = (deletedAt) => {
+    return new Date(deletedAt.getTime() + getRetentionDays() * 24 * 60 * 60 * 1000);
+};
+
+/**
+ * Moves bookmarks to the trash
+ * @param {string} userId - The user ID
+ * @param {string[]} bookmarkIds - IDs of the bookmarks to trash
+ * @param {Object} operation - History operation to record the change under
+ * @returns {Promise<number>} - Number of bookmarks trashed
+ */
+const trashBookmarks = async (userId, bookmarkIds, operation = startOperation(userId, 'trash')) => {
+    return await trackedUpdateMany(
+        operation,
+        'Bookmark',
+        { _id: { $in: bookmarkIds }, user: userId },
+        { $set: { deletedAt: new Date() } }
+    );
+};
+
+/**
+ * Moves a folder to the trash. Its bookmarks and subfolders move to the root
+ * as before, and are remembered so a restore can put them back.
+ * @param {Object} folder - The folder document
+ * @param {Object} operation - History operation to record the changes under
+ */
+const trashFolder = async (folder, operation = startOperation(folder.user, 'folder:trash')) => {
+    const [bookmarkIds, subfolderIds] = await Promise.all([
+        Bookmark.distinct('_id', { folder: folder._id }),
+        Folder.distinct('_id', { parent: folder._id })
+    ]);
+
+    await trackedUpdateMany(operation, 'Bookmark', { _id: { $in: bookmarkIds } }, { $set: { folder: null } });
+    await trackedUpdateMany(operation, 'Folder', { _id: { $in: subfolderIds } }, { $set: { parent: null } });
+
+    const before = snapshot('Folder', folder);
+    folder.trashedContents = { bookmarks: bookmarkIds, subfolders: subfolderIds };
+    folder.deletedAt = new Date();
+    await folder.save();
+    await recordChange(operation, 'Folder', folder, before);
+};
+
+/**
+ * Restores a trashed bookmark into its original folder, or the root if that
+ * folder no longer exists
+ * @param {string} userId - The user ID
+ * @param {string} bookmarkId - The bookmark ID
+ * @param {Object} operation - History operation to record the change under
+ * @returns {Promise<Object|null>} - The restored bookmark, or null if not in the trash
+ * @throws {Error} - With status 409 if the URL has been bookmarked again since
+ */
+const restoreBookmark = async (userId, bookmarkId, operation = startOperation(userId, 'restore')) => {
+    const bookmark = await Bookmark.findOne({
+        _id: bookmarkId,
+        user: userId,
+        deletedAt: { $ne: null }
+    });
+    if (!bookmark) {
+        return null;
+    }
+
+    if (await Bookmark.exists({ user: userId, url: bookmark.url })) {
+        const error = new Error('This URL has been bookmarked again since it was deleted');
+        error.status = 409;
+        throw error;
+    }
+
+    const before = snapshot('Bookmark', bookmark);
+    if (bookmark.folder && !(await Folder.exists({ _id: bookmark.folder }))) {
+        bookmark.folder = null;
+    }
+    bookmark.deletedAt = null;
+    await bookmark.save();
+    await recordChange(operation, 'Bookmark', bookmark, before);
+    return bookmark;
+};
+
+/**
+ * Restores a trashed folder under its original parent (or the root if that
+ * is gone) and moves back the bookmarks and subfolders it contained, unless
+ * they have been filed elsewhere since
+ * @param {string} userId - The user ID
+ * @param {string} folderId - The folder ID
+ * @param {Object} operation - History operation to record the changes under
+ * @returns {Promise<Object|null>} - The restored folder, or null if not in the trash
+ */
+const restoreFolder = async (userId, folderId, operation = startOperation(userId, 'folder:restore')) => {
+    const folder = await Folder.findOne({
+        _id: folderId,
+        user: userId,
+        deletedAt: { $ne: null }
+    });
+    if (!folder) {
+        return null;
+    }
+
+    const before = snapshot('Folder', folder);
+    if (folder.parent && !(await Folder.exists({ _id: folder.parent }))) {
+        folder.parent = null;
+    }
+
+    const { bookmarks = [], subfolders = [] } = folder.trashedContents || {};
+    await trackedUpdateMany(
+        operation,
+        'Bookmark',
+        { _id: { $in: bookmarks }, folder: null },
+        { $set: { folder: folder._id } },
+        { withDeleted: true }
+    );
+    await trackedUpdateMany(
+        operation,
+        'Folder',
+        { _id: { $in: subfolders }, parent: null },
+        { $set: { parent: folder._id } },
+        { withDeleted: true }
+    );
+
+    folder.trashedContents = { bookmarks: [], subfolders: [] };
+    folder.deletedAt = null;
+    await folder.save();
+    await recordChange(operation, 'Folder', folder, before);
+    return folder;
+};
+
+/**
+ * Permanently deletes trashed bookmarks along with their highlights, jobs
+ * and visit history
+ * @param {Object} filter - Filter on trashed bookmarks
+ * @returns {Promise<number>} - Number of bookmarks deleted
+ */
+const purgeBookmarks = async (filter) => {
+    const trashedFilter = { deletedAt: { $ne: null }, ...filter };
+    const ids = await Bookmark.distinct('_id', trashedFilter);
+    if (ids.length === 0) {
+        return 0;
+    }
+
+    await Highlight.deleteMany({ bookmark: { $in: ids } });
+    await IngestionJob.deleteMany({ bookmark: { $in: ids } });
+    await Visit.deleteMany({ bookmark: { $in: ids } });
+    await BookmarkContent.deleteMany({ bookmark: { $in: ids } });
+    const result = await Bookmark.deleteMany({ _id: { $in: ids }, deletedAt: { $ne: null } });
+    return result.deletedCount;
+};
+
+/**
+ * Permanently deletes trashed folders
+ * @param {Object} filter - Filter on trashed folders
+ * @returns {Promise<number>} - Number of folders deleted
+ */
+const purgeFolders = async (filter) => {
+    const result = await Folder.deleteMany({ deletedAt: { $ne: null }, ...filter });
+    return result.deletedCount;
+};
+
+/**
+ * Permanently deletes everything that has been in the trash longer than the
+ * retention period
+ * @returns {Promise<Object>} - { bookmarks, folders } deleted counts
+ */
+const purgeExpired = async () => {
+    const cutoff = new Date(Date.now() - getRetentionDays() * 24 * 60 * 60 * 1000);
+    const expired = { deletedAt: { $ne: null, $lte: cutoff } };
+
+    return {
+        bookmarks: await purgeBookmarks(expired),
+        folders: await purgeFolders(expired)
+    };
+};
+
+module.exports = {
+    getRetentionDays,
+    getPurgeDate,
+    trashBookmarks,
+    trashFolder,
+    restoreBookmark,
+    restoreFolder,
+    purgeBookmarks,
+    purgeFolders,
+    purgeExpired
+};
@@ -0,0 +1,64 @@
+// Nearest-neighbour lookup over bookmark embeddings.
+//
+// The default index scans the candidate vectors in process and ranks them by
+// cosine similarity, so it runs on plain MongoDB. A deployment can plug in a
+// real vector index (Atlas Vector Search, a sidecar service, ...) with
+// setVectorIndex; it only has to implement search() below.
+
+const Bookmark = require('../models/Bookmark');
+const { cosineSimilarity } = require('../utils/vectors');
+
+/**
+ * In-process cosine scan over the bookmarks matching a filter
+ */
+const cosineScanIndex = {
+    /**
+     * @param {Object} query
+     * @param {Object} query.filter - Bookmark filter restricting the candidates
+     * @param {string} query.model - Only vectors from this model are compared
+     * @param {number[]} query.vector - The query vector
+     * @param {number} query.limit - Maximum number of matches
+     * @returns {Promise<Object[]>} - [{ id, score }], most similar first,
+     *                                 leaving out unrelated (score <= 0) ones
+     */
+    async search({ filter, model, vector, limit }) {
+        const cursor = Bookmark.find({ ...filter, 'embedding.model': model })
+            .select('embedding.vector')
+            .lean()
+            .cursor();
+
+        const matches = [];
+        for await (const doc of cursor) {
+            const score = cosineSimilarity(vector, doc.embedding && doc.embedding.vector);
+            if (score > 0) {
+                matches.push({ id: doc._id, score });
+            }
+        }
+
+        return matches.sort((a, b) => b.score - a.score).slice(0, limit);
+    }
+};
+
+let activeIndex = cosineScanIndex;
+
+/**
+ * Replaces the vector index
+ * @param {Object|null} index - Object with a search() like cosineScanIndex's;
+ *                              null restores the in-process scan
+ */
+const setVectorIndex = (index) => {
+    activeIndex = index || cosineScanIndex;
+};
+
+/**
+ * Finds the bookmarks nearest to a vector with the active index
+ * @param {Object} query - See cosineScanIndex.search
+ * @returns {Promise<Object[]>} - [{ id, score }], most similar first
+ */
+const searchVectors = (query) => activeIndex.search(query);
+
+module.exports = {
+    cosineScanIndex,
+    setVectorIndex,
+    searchVectors
+};
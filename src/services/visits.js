@@ -0,0 +1,145 @@
+const mongoose = require('mongoose');
+const Bookmark = require('../models/Bookmark');
+const Visit = require('../models/Visit');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_TREND_DAYS = 30;
+const TOP_BOOKMARKS_LIMIT = 5;
+
+/**
+ * Truncates a time to midnight UTC
+ * @param {Date} date - The time
+ * @returns {Date} - The start of its UTC day
+ */
+const startOfDay = (date) => {
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+};
+
+/**
+ * Adds a visit to a bookmark's count for the day
+ * @param {Object} bookmark - The bookmark document
+ * @param {Date} day - The day (midnight UTC)
+ */
+const incrementDailyVisits = async (bookmark, day) => {
+    const increment = () => Visit.updateOne(
+        { bookmark: bookmark._id, day },
+        { $inc: { count: 1 }, $setOnInsert: { user: bookmark.user } },
+        { upsert: true }
+    );
+
+    try {
+        await increment();
+    } catch (error) {
+        // Two first visits of the day can both try to insert the day's
+        // document; the loser finds it on the second try
+        if (error.code !== 11000) throw error;
+        await increment();
+    }
+};
+
+/**
+ * Records that a bookmark was opened: bumps its click count and last visit
+ * time and adds to the day's visit count
+ * @param {Object} bookmark - The bookmark document
+ * @returns {Promise<Date>} - The time of the visit
+ */
+const recordVisit = async (bookmark) => {
+    const now = new Date();
+
+    await Promise.all([
+        Bookmark.updateOne(
+            { _id: bookmark._id },
+            { $inc: { clickCount: 1 }, $set: { lastVisitedAt: now } },
+            // Visits aren't edits, so they don't count as an update
+            { timestamps: false }
+        ),
+        incrementDailyVisits(bookmark, startOfDay(now))
+    ]);
+
+    return now;
+};
+
+/**
+ * Expands sparse day counts into one entry per day
+ * @param {Date} since - The first day
+ * @param {number} days - Number of days
+ * @param {Object[]} counts - Entries of { day: Date, count }
+ * @returns {Object[]} - Entries of { date: 'YYYY-MM-DD', count }
+ */
+const fillDays = (since, days, counts) => {
+    const byDay = new Map(counts.map(({ day, count }) => [day.getTime(), count]));
+    return Array.from({ length: days }, (_, i) => {
+        const day = new Date(since.getTime() + i * DAY_MS);
+        return { date: day.toISOString().slice(0, 10), count: byDay.get(day.getTime()) || 0 };
+    });
+};
+
+/**
+ * Gets a bookmark's visit counts per day, oldest first
+ * @param {string} bookmarkId - The bookmark ID
+ * @param {number} days - How many days back to look
+ * @returns {Promise<Object[]>} - Entries of { date: 'YYYY-MM-DD', count }, zero-filled
+ */
+const getBookmarkVisits = async (bookmarkId, days = DEFAULT_TREND_DAYS) => {
+    const since = new Date(startOfDay(new Date()).getTime() - (days - 1) * DAY_MS);
+    const visits = await Visit.find({ bookmark: bookmarkId, day: { $gte: since } }).lean();
+    return fillDays(since, days, visits.map(visit => ({ day: visit.day, count: visit.count })));
+};
+
+/**
+ * Summarizes a user's visits for the stats endpoint
+ * @param {string} userId - The user ID
+ * @param {number} days - How many days the daily trend covers
+ * @returns {Promise<Object>} - { totalVisits, visitsInPeriod, previousPeriodVisits,
+ *                                daily, mostVisited, recentlyVisited }
+ */
+const getVisitTrends = async (userId, days = DEFAULT_TREND_DAYS) => {
+    const user = new mongoose.Types.ObjectId(userId);
+    const since = new Date(startOfDay(new Date()).getTime() - (days - 1) * DAY_MS);
+    const previousSince = new Date(since.getTime() - days * DAY_MS);
+
+    // Visits to bookmarks in the trash don't count
+    const trashed = await Bookmark.distinct('_id', { user, deletedAt: { $ne: null } });
+    const visible = { user, bookmark: { $nin: trashed } };
+
+    const [totals, daily, previous, mostVisited, recentlyVisited] = await Promise.all([
+        Bookmark.aggregate([
+            { $match: { user } },
+            { $group: { _id: null, clicks: { $sum: '$clickCount' } } }
+        ]),
+        Visit.aggregate([
+            { $match: { ...visible, day: { $gte: since } } },
+            { $group: { _id: '$day', count: { $sum: '$count' } } }
+        ]),
+        Visit.aggregate([
+            { $match: { ...visible, day: { $gte: previousSince, $lt: since } } },
+            { $group: { _id: null, count: { $sum: '$count' } } }
+        ]),
+        Bookmark.find({ user, clickCount: { $gt: 0 } })
+            .sort({ clickCount: -1, lastVisitedAt: -1 })
+            .limit(TOP_BOOKMARKS_LIMIT)
+            .select('title url clickCount lastVisitedAt'),
+        Bookmark.find({ user, lastVisitedAt: { $ne: null } })
+            .sort({ lastVisitedAt: -1 })
+            .limit(TOP_BOOKMARKS_LIMIT)
+            .select('title url clickCount lastVisitedAt')
+    ]);
+
+    const dailyCounts = fillDays(since, days, daily.map(entry => ({ day: entry._id, count: entry.count })));
+
+    return {
+        totalVisits: totals.length > 0 ? totals[0].clicks : 0,
+        visitsInPeriod: dailyCounts.reduce((sum, entry) => sum + entry.count, 0),
+        previousPeriodVisits: previous.length > 0 ? previous[0].count : 0,
+        daily: dailyCounts,
+        mostVisited,
+        recentlyVisited
+    };
+};
+
+module.exports = {
+    DEFAULT_TREND_DAYS,
+    recordVisit,
+    getBookmarkVisits,
+    getVisitTrends
+};
@@ -81,6 +81,20 @@ const fetchYouTubeContent = async (url) => {
     }
 };
 
+// Elements whose text makes up the readable version of a page
+const READER_BLOCKS = 'h1, h2, h3, h4, h5, h6, p, li, blockquote, pre';
+
+// Resolves a possibly relative link against the page URL
+const resolveUrl = (href, base) => {
+    if (!href) return null;
+    try {
+        const resolved = new URL(href.trim(), base);
+        return /^https?:$/.test(resolved.protocol) ? resolved.href : null;
+    } catch (error) {
+        return null;
+    }
+};
+
 const fetchContent = async (url) => {
     try {
         console.log('Fetching content from URL:', url);
@@ -111,6 +125,13 @@ const fetchContent = async (url) => {
         const html = response.data;
         const $ = cheerio.load(html);
 
+        // The page's own idea of its URL, which AMP pages and syndicated
+        // copies point at the original
+        const canonicalUrl = resolveUrl(
+            $('link[rel="canonical"]').attr('href') || $('meta[property="og:url"]').attr('content'),
+            response.request?.res?.responseUrl || cleanedUrl
+        );
+
         // Remove unwanted elements
         $('script').remove();
         $('style').remove();
@@ -125,6 +146,7 @@ const fetchContent = async (url) => {
 
         // Try to get the main content first
         let content = '';
+        let mainElements = null;
         const mainSelectors = [
             'article',
             'main',
@@ -141,6 +163,7 @@ const fetchContent = async (url) => {
         for (const selector of mainSelectors) {
             const elements = $(selector);
             if (elements.length > 0) {
+                mainElements = elements;
                 elements.each((i, elem) => {
                     content += $(elem).text() + ' ';
                 });
@@ -151,8 +174,21 @@ const fetchContent = async (url) => {
         // If no main content found, get body content
         if (!content.trim()) {
             content = $('body').text();
+            mainElements = $('body');
         }
 
+        // Block-level text for the offline reader, before whitespace is collapsed
+        const blocks = [];
+        mainElements.find(READER_BLOCKS).each((i, elem) => {
+            // Nested blocks (a <p> inside an <li>) are taken from the innermost one
+            if ($(elem).find(READER_BLOCKS).length > 0) return;
+            const tag = elem.tagName.toLowerCase();
+            const text = tag === 'pre'
+                ? $(elem).text().replace(/^\n+|\s+$/g, '')
+                : $(elem).text().replace(/\s+/g, ' ').trim();
+            if (text) blocks.push({ tag, text });
+        });
+
         // Clean the content
         content = content
             .replace(/\s+/g, ' ')  // Replace multiple spaces with single space
@@ -184,6 +220,8 @@ const fetchContent = async (url) => {
             title: title.trim(),
             content: content,
             description: description.trim(),
+            canonicalUrl,
+            blocks,
             isYouTube: false
         };
     } catch (error) {
@@ -0,0 +1,98 @@
+// Minimal RFC 4180 CSV handling for imports and exports
+
+/**
+ * Parses CSV text into rows of fields, honoring quoted fields that contain
+ * commas, escaped quotes ("") and newlines
+ * @param {string} text - The CSV text
+ * @returns {string[][]} - Array of rows, each an array of field values
+ */
+function parseCsvRows(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    // Strip a UTF-8 byte order mark if present
+    const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"') {
+                if (input[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else {
+                    inQuotes = false;
+                }
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    // Drop blank lines
+    return rows.filter(r => r.length > 1 || r[0].trim() !== '');
+}
+
+/**
+ * Parses CSV text with a header row into objects keyed by lowercased header
+ * @param {string} text - The CSV text
+ * @returns {Object[]} - Array of row objects
+ */
+function parseCsv(text) {
+    if (!text || typeof text !== 'string') return [];
+
+    const [header, ...rows] = parseCsvRows(text);
+    if (!header) return [];
+
+    const keys = header.map(key => key.trim().toLowerCase());
+    return rows.map(row => {
+        const record = {};
+        keys.forEach((key, index) => {
+            record[key] = row[index] !== undefined ? row[index] : '';
+        });
+        return record;
+    });
+}
+
+/**
+ * Formats values as a single CSV line, quoting fields where needed. Fields
+ * that a spreadsheet would read as a formula get a leading apostrophe.
+ * @param {Array} values - Field values (null/undefined become empty)
+ * @returns {string} - The CSV line including a trailing CRLF
+ */
+function formatCsvRow(values) {
+    return values.map(value => {
+        let text = value === undefined || value === null ? '' : String(value);
+        if (/^[=+\-@\t\r]/.test(text)) {
+            text = `'${text}`;
+        }
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(',') + '\r\n';
+}
+
+module.exports = {
+    parseCsvRows,
+    parseCsv,
+    formatCsvRow
+};
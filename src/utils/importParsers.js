@@ -0,0 +1,166 @@
+// Parsers for bookmark exports from browsers and read-later services.
+// Every parser returns entries of the shape consumed by services/importer:
+// { url, title, description, excerpt, tags, addDate, folderPath, isFavorite }
+const cheerio = require('cheerio');
+const { parseCsv } = require('./csv');
+const { parseNetscapeBookmarks } = require('./netscapeBookmarks');
+
+const IMPORT_SOURCES = ['netscape', 'pocket', 'raindrop', 'pinboard', 'instapaper'];
+
+// Instapaper's built-in folders are states rather than collections
+const INSTAPAPER_SYSTEM_FOLDERS = new Set(['unread', 'archive', 'starred']);
+
+/**
+ * Parses a date given as unix seconds or any string Date understands
+ * @param {string|number} value - The raw date value
+ * @returns {Date|null} - The date or null if missing/invalid
+ */
+function parseDate(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const date = /^\d+$/.test(String(value).trim())
+        ? new Date(parseInt(value, 10) * 1000)
+        : new Date(value);
+    return isNaN(date.getTime()) || date.getTime() <= 0 ? null : date;
+}
+
+/**
+ * Splits a delimited tag string into trimmed, non-empty tags
+ * @param {string} value - The raw tag string
+ * @param {string|RegExp} separator - The tag separator
+ * @returns {string[]} - Array of tags
+ */
+function splitTags(value, separator) {
+    if (!value) return [];
+    return String(value)
+        .split(separator)
+        .map(tag => tag.trim())
+        .filter(Boolean);
+}
+
+/**
+ * Parses a Pocket export, either the legacy HTML file or the newer CSV
+ * @param {string} content - The export contents
+ * @returns {Object[]} - Import entries
+ */
+function parsePocket(content) {
+    if (/<a\s/i.test(content)) {
+        const $ = cheerio.load(content);
+        return $('a[href]').map((i, elem) => {
+            const link = $(elem);
+            return {
+                url: link.attr('href'),
+                title: link.text().trim(),
+                tags: splitTags(link.attr('tags'), ','),
+                addDate: parseDate(link.attr('time_added')),
+                folderPath: []
+            };
+        }).get();
+    }
+
+    return parseCsv(content).map(row => ({
+        url: row.url,
+        title: row.title,
+        tags: splitTags(row.tags, '|'),
+        addDate: parseDate(row.time_added),
+        folderPath: []
+    }));
+}
+
+/**
+ * Parses a Raindrop.io CSV export
+ * @param {string} content - The export contents
+ * @returns {Object[]} - Import entries
+ */
+function parseRaindrop(content) {
+    return parseCsv(content).map(row => {
+        const folder = (row.folder || '').trim();
+        return {
+            url: row.url,
+            title: row.title,
+            description: row.note,
+            excerpt: row.excerpt,
+            tags: splitTags(row.tags, ','),
+            addDate: parseDate(row.created),
+            // Nested collections are exported as "Parent / Child"
+            folderPath: folder && folder.toLowerCase() !== 'unsorted'
+                ? folder.split('/').map(name => name.trim()).filter(Boolean)
+                : [],
+            isFavorite: String(row.favorite).toLowerCase() === 'true'
+        };
+    });
+}
+
+/**
+ * Parses a Pinboard JSON export
+ * @param {string} content - The export contents
+ * @returns {Object[]} - Import entries
+ */
+function parsePinboard(content) {
+    let posts;
+    try {
+        posts = JSON.parse(content);
+    } catch (error) {
+        throw new Error('Invalid Pinboard export: file is not valid JSON');
+    }
+    if (!Array.isArray(posts)) {
+        throw new Error('Invalid Pinboard export: expected an array of bookmarks');
+    }
+
+    return posts.map(post => ({
+        url: post.href,
+        title: post.description,
+        excerpt: post.extended,
+        tags: splitTags(post.tags, /\s+/),
+        addDate: parseDate(post.time),
+        folderPath: []
+    }));
+}
+
+/**
+ * Parses an Instapaper CSV export
+ * @param {string} content - The export contents
+ * @returns {Object[]} - Import entries
+ */
+function parseInstapaper(content) {
+    return parseCsv(content).map(row => {
+        const folder = (row.folder || '').trim();
+        const isSystemFolder = INSTAPAPER_SYSTEM_FOLDERS.has(folder.toLowerCase());
+        return {
+            url: row.url,
+            title: row.title,
+            excerpt: row.selection,
+            tags: splitTags(row.tags, ','),
+            addDate: parseDate(row.timestamp),
+            folderPath: folder && !isSystemFolder ? [folder] : [],
+            isFavorite: folder.toLowerCase() === 'starred'
+        };
+    });
+}
+
+/**
+ * Parses an import file from the given source
+ * @param {string} source - One of IMPORT_SOURCES
+ * @param {string} content - The file contents
+ * @returns {Object[]} - Import entries
+ */
+function parseImportFile(source, content) {
+    switch (source) {
+        case 'netscape':
+            return parseNetscapeBookmarks(content);
+        case 'pocket':
+            return parsePocket(content);
+        case 'raindrop':
+            return parseRaindrop(content);
+        case 'pinboard':
+            return parsePinboard(content);
+        case 'instapaper':
+            return parseInstapaper(content);
+        default:
+            throw new Error(`Unsupported import source: ${source}`);
+    }
+}
+
+module.exports = {
+    IMPORT_SOURCES,
+    parseImportFile
+};
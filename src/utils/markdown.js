@@ -0,0 +1,126 @@
+// Markdown note formatting for Obsidian-style vault exports
+
+// Characters that aren't allowed in file names on common platforms, plus
+// the ones Obsidian reserves for links
+const UNSAFE_FILENAME_CHARS = /[\\/:*?"<>|#^[\]]/g;
+const MAX_FILENAME_LENGTH = 100;
+
+/**
+ * Turns arbitrary text into a safe file or directory name
+ * @param {string} name - The raw name
+ * @param {string} fallback - Name to use if nothing usable remains
+ * @returns {string} - The sanitized name
+ */
+function sanitizeFileName(name, fallback = 'Untitled') {
+    const cleaned = String(name || '')
+        .replace(UNSAFE_FILENAME_CHARS, ' ')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .replace(/^\.+/, '')
+        .slice(0, MAX_FILENAME_LENGTH)
+        .trim();
+    return cleaned || fallback;
+}
+
+/**
+ * Converts a tag to Obsidian's tag syntax, which doesn't allow spaces
+ * @param {string} tag - The bookmark tag
+ * @returns {string} - The Obsidian tag
+ */
+function toObsidianTag(tag) {
+    return tag.trim().replace(/\s+/g, '-');
+}
+
+/**
+ * Formats a scalar as a YAML value; JSON strings are valid YAML
+ * @param {*} value - The value
+ * @returns {string} - The YAML representation
+ */
+function toYamlValue(value) {
+    if (value === undefined || value === null) return 'null';
+    if (value instanceof Date) return value.toISOString();
+    if (typeof value === 'boolean' || typeof value === 'number') return String(value);
+    return JSON.stringify(String(value));
+}
+
+/**
+ * Formats an object as a YAML frontmatter block
+ * @param {Object} fields - Frontmatter fields (arrays become block lists)
+ * @returns {string} - The frontmatter including --- delimiters
+ */
+function formatFrontmatter(fields) {
+    const lines = ['---'];
+    for (const [key, value] of Object.entries(fields)) {
+        if (Array.isArray(value)) {
+            lines.push(value.length ? `${key}:` : `${key}: []`);
+            value.forEach(item => lines.push(`  - ${toYamlValue(item)}`));
+        } else {
+            lines.push(`${key}: ${toYamlValue(value)}`);
+        }
+    }
+    lines.push('---');
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Formats a bookmark as a Markdown note with YAML frontmatter
+ * @param {Object} bookmark - The bookmark
+ * @param {string[]} folderPath - Names of the bookmark's folder and its ancestors
+ * @param {Object[]} highlights - The bookmark's highlights in reading order
+ * @returns {string} - The note contents
+ */
+function formatBookmarkNote(bookmark, folderPath, highlights = []) {
+    const title = bookmark.title || bookmark.url;
+    let note = formatFrontmatter({
+        url: bookmark.url,
+        tags: (bookmark.tags || []).map(toObsidianTag),
+        category: bookmark.category,
+        favorite: !!bookmark.isFavorite,
+        created: bookmark.createdAt,
+        folder: folderPath.join('/')
+    });
+
+    note += `\n# ${title}\n\n<${bookmark.url}>\n`;
+
+    if (bookmark.description) {
+        note += `\n> ${bookmark.description.replace(/\n/g, '\n> ')}\n`;
+    }
+    if (bookmark.aiSummary) {
+        note += `\n## Summary\n\n${bookmark.aiSummary}\n`;
+    }
+    if (bookmark.notes) {
+        note += `\n## Notes\n\n${bookmark.notes}\n`;
+    }
+    if (highlights.length > 0) {
+        note += '\n## Highlights\n';
+        highlights.forEach(highlight => {
+            note += `\n> ${highlight.text.replace(/\n/g, '\n> ')}\n`;
+            if (highlight.comment) {
+                note += `\n${highlight.comment}\n`;
+            }
+        });
+    }
+
+    return note;
+}
+
+/**
+ * Formats an index note linking every bookmark note with a given tag
+ * @param {string} tag - The tag
+ * @param {Object[]} notes - Entries of { path, title } (path without .md)
+ * @returns {string} - The index note contents
+ */
+function formatTagIndexNote(tag, notes) {
+    const links = [...notes]
+        .sort((a, b) => a.title.localeCompare(b.title))
+        .map(({ path, title }) => `- [[${path}|${title.replace(/[|\]]/g, ' ')}]]`);
+
+    return formatFrontmatter({ tags: [toObsidianTag(tag)] }) +
+        `\n# ${tag}\n\n${links.join('\n')}\n`;
+}
+
+module.exports = {
+    sanitizeFileName,
+    formatBookmarkNote,
+    formatTagIndexNote
+};
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '../../.env') });
+
+const Bookmark = require('../models/Bookmark');
+
+// Placeholder summaries the AI services used to store when analysis failed
+const FAILED_SUMMARY_PATTERN = /^(AI analysis failed:|Summary generation failed\.)/;
+
+async function migrateAnalysisStatus() {
+    try {
+        const mongoUri = process.env.MONGODB_URI;
+        if (!mongoUri) {
+            console.error('MONGODB_URI environment variable is not set');
+            process.exit(1);
+        }
+
+        console.log('Connecting to MongoDB...');
+        await mongoose.connect(mongoUri);
+
+        console.log('Connected to MongoDB');
+
+        // Bookmarks saved before analysis status existed, including trashed
+        // ones, which can still be restored
+        const legacyFilter = { 'analysis.status': { $exists: false } };
+
+        // Move placeholder summaries into the analysis errors and clear them
+        const failed = await Bookmark.find({
+            ...legacyFilter,
+            aiSummary: FAILED_SUMMARY_PATTERN
+        }).setOptions({ withDeleted: true });
+
+        console.log(`Found ${failed.length} bookmarks with failed analyses`);
+
+        let updatedCount = 0;
+        for (const bookmark of failed) {
+            await Bookmark.updateOne({ _id: bookmark._id }, {
+                $set: {
+                    aiSummary: '',
+                    analysis: {
+                        status: 'failed',
+                        errors: { summary: bookmark.aiSummary },
+                        analyzedAt: bookmark.updatedAt || bookmark.createdAt
+                    }
+                }
+            }).setOptions({ withDeleted: true });
+            updatedCount++;
+            console.log(`Updated bookmark ${bookmark._id} (${updatedCount}/${failed.length})`);
+        }
+
+        // Everything else has a real summary
+        const result = await Bookmark.updateMany(legacyFilter, {
+            $set: { 'analysis.status': 'succeeded' }
+        }).setOptions({ withDeleted: true });
+
+        console.log('Migration completed successfully');
+        console.log(`Marked ${updatedCount} bookmarks as failed and ${result.modifiedCount} as succeeded`);
+
+        await mongoose.connection.close();
+        process.exit(0);
+    } catch (error) {
+        console.error('Migration failed:', error);
+        if (mongoose.connection.readyState === 1) {
+            await mongoose.connection.close();
+        }
+        process.exit(1);
+    }
+}
+
+// Run the migration
+console.log('Starting analysis status migration...');
+migrateAnalysisStatus();
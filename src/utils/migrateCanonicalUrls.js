@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '../../.env') });
+
+const Bookmark = require('../models/Bookmark');
+const { canonicalizeUrl } = require('./urlCleaner');
+
+// Updates sent to the database at a time
+const BATCH_SIZE = 500;
+
+// Bookmarks saved before canonical URLs existed only get one when they're
+// (re)analyzed, so until then the duplicate finder groups them by their raw
+// URL and misses their AMP and mobile twins. This fills in the canonical URL
+// worked out from the bookmark's own URL; analysis may later replace it with
+// the page's rel=canonical link.
+async function migrateCanonicalUrls() {
+    try {
+        const mongoUri = process.env.MONGODB_URI;
+        if (!mongoUri) {
+            console.error('MONGODB_URI environment variable is not set');
+            process.exit(1);
+        }
+
+        console.log('Connecting to MongoDB...');
+        await mongoose.connect(mongoUri);
+
+        console.log('Connected to MongoDB');
+
+        // Trashed bookmarks too, since they can still be restored
+        const legacyFilter = { canonicalUrl: null };
+        const total = await Bookmark.countDocuments(legacyFilter).setOptions({ withDeleted: true });
+
+        console.log(`Found ${total} bookmarks without a canonical URL`);
+
+        const cursor = Bookmark.find(legacyFilter)
+            .setOptions({ withDeleted: true })
+            .select('url')
+            .lean()
+            .cursor();
+
+        let updatedCount = 0;
+        let skippedCount = 0;
+        let batch = [];
+        const flush = async () => {
+            if (batch.length === 0) return;
+            await Bookmark.bulkWrite(batch, { ordered: false });
+            updatedCount += batch.length;
+            batch = [];
+            console.log(`Updated ${updatedCount}/${total} bookmarks`);
+        };
+
+        for await (const bookmark of cursor) {
+            const canonicalUrl = canonicalizeUrl(bookmark.url);
+            if (!canonicalUrl) {
+                skippedCount++;
+                continue;
+            }
+            batch.push({
+                updateOne: {
+                    filter: { _id: bookmark._id },
+                    update: { $set: { canonicalUrl } },
+                    // Not an edit the user made
+                    timestamps: false
+                }
+            });
+            if (batch.length >= BATCH_SIZE) {
+                await flush();
+            }
+        }
+        await flush();
+
+        console.log('Migration completed successfully');
+        console.log(`Set ${updatedCount} canonical URLs, skipped ${skippedCount} unparseable URLs`);
+
+        await mongoose.connection.close();
+        process.exit(0);
+    } catch (error) {
+        console.error('Migration failed:', error);
+        if (mongoose.connection.readyState === 1) {
+            await mongoose.connection.close();
+        }
+        process.exit(1);
+    }
+}
+
+// Run the migration
+console.log('Starting canonical URL migration...');
+migrateCanonicalUrls();
@@ -27,7 +27,7 @@ async function migrateClickCounts() {
                 { clickCount: null },
                 { clickCount: { $not: { $type: "number" } } }
             ]
-        });
+        }).setOptions({ withDeleted: true }); // Trashed bookmarks can still be restored
 
         console.log(`Found ${bookmarks.length} bookmarks that need migration`);
 
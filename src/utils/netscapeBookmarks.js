@@ -0,0 +1,218 @@
+// Netscape bookmark file handling (the format every major browser exports)
+const cheerio = require('cheerio');
+
+/**
+ * Decodes HTML entities in a fragment of bookmark file text
+ * @param {string} text - The encoded text
+ * @returns {string} - The decoded, trimmed text
+ */
+function decodeText(text) {
+    if (!text) return '';
+    // Most fragments have nothing to decode; skip building a document for them
+    if (!/[&<]/.test(text)) return text.trim();
+    return cheerio.load(`<p>${text}</p>`, null, false)('p').text().trim();
+}
+
+/**
+ * Parses the attributes of a start tag into a lowercase-keyed object
+ * @param {string} attrString - The raw attribute portion of the tag
+ * @returns {Object} - Map of attribute name to decoded value
+ */
+function parseAttributes(attrString) {
+    const attrs = {};
+    const attrRegex = /([\w-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/g;
+    let match;
+    while ((match = attrRegex.exec(attrString)) !== null) {
+        const value = match[2] ?? match[3] ?? match[4] ?? '';
+        attrs[match[1].toLowerCase()] = decodeText(value);
+    }
+    return attrs;
+}
+
+/**
+ * Converts a Netscape ADD_DATE value (seconds, sometimes microseconds) to a Date
+ * @param {string} value - The raw timestamp
+ * @returns {Date|null} - The date or null if missing/invalid
+ */
+function parseTimestamp(value) {
+    const number = parseInt(value, 10);
+    if (!number || number < 0) return null;
+    // Chrome writes seconds, some tools write microseconds
+    const millis = number > 1e14 ? number / 1000 : number * 1000;
+    const date = new Date(millis);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Finds the next match of a global regex at or after a position, without
+ * slicing the (possibly very large) input
+ * @param {RegExp} regex - A regex with the g flag
+ * @param {string} text - The text to search
+ * @param {number} from - Position to start from
+ * @returns {number} - Index of the match, or -1
+ */
+function indexFrom(regex, text, from) {
+    regex.lastIndex = from;
+    const match = regex.exec(text);
+    return match ? match.index : -1;
+}
+
+/**
+ * Parses a Netscape bookmark HTML export.
+ *
+ * The format isn't well-formed HTML (<DT> and <p> are never closed), so rather
+ * than relying on a DOM we walk the relevant tags in order and track folder
+ * nesting from <H3> headings followed by <DL> lists.
+ *
+ * @param {string} html - The bookmark file contents
+ * @returns {Object[]} - Entries of { url, title, description, tags, addDate, folderPath }
+ */
+function parseNetscapeBookmarks(html) {
+    if (!html || typeof html !== 'string') return [];
+
+    const tokenRegex = /<(\/?)(dl|h3|a|dd)\b([^>]*)>/gi;
+    const h3EndRegex = /<\/h3>/gi;
+    const anchorEndRegex = /<\/a>/gi;
+    const descriptionEndRegex = /<(\/?)(dl|dt|h3|a|dd)\b/gi;
+    const entries = [];
+    const folderStack = [];
+    let pendingFolder = null;
+    let lastEntry = null;
+    let match;
+
+    while ((match = tokenRegex.exec(html)) !== null) {
+        const isClosing = match[1] === '/';
+        const tag = match[2].toLowerCase();
+
+        if (tag === 'dl') {
+            if (isClosing) {
+                folderStack.pop();
+            } else {
+                // The outermost list has no heading and maps to the root
+                folderStack.push(pendingFolder);
+                pendingFolder = null;
+            }
+            lastEntry = null;
+            continue;
+        }
+
+        if (isClosing) continue;
+
+        const contentStart = tokenRegex.lastIndex;
+
+        if (tag === 'h3') {
+            const end = indexFrom(h3EndRegex, html, contentStart);
+            pendingFolder = decodeText(html.slice(contentStart, end === -1 ? undefined : end)) || 'Untitled folder';
+            lastEntry = null;
+        } else if (tag === 'a') {
+            const end = indexFrom(anchorEndRegex, html, contentStart);
+            const attrs = parseAttributes(match[3]);
+            const tags = (attrs.tags || '')
+                .split(',')
+                .map(t => t.trim())
+                .filter(Boolean);
+
+            lastEntry = {
+                url: attrs.href || '',
+                title: decodeText(html.slice(contentStart, end === -1 ? undefined : end)),
+                description: '',
+                tags,
+                addDate: parseTimestamp(attrs.add_date),
+                folderPath: folderStack.filter(Boolean)
+            };
+            entries.push(lastEntry);
+        } else if (tag === 'dd' && lastEntry) {
+            // A description runs until the next tag we care about
+            const next = indexFrom(descriptionEndRegex, html, contentStart);
+            lastEntry.description = decodeText(html.slice(contentStart, next === -1 ? undefined : next));
+            lastEntry = null;
+        }
+    }
+
+    return entries;
+}
+
+const NETSCAPE_HEADER = `<!DOCTYPE NETSCAPE-Bookmark-file-1>
+<!-- This is an automatically generated file.
+     It will be read and overwritten.
+     DO NOT EDIT! -->
+<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">
+<TITLE>Bookmarks</TITLE>
+<H1>Bookmarks</H1>
+<DL><p>
+`;
+
+const NETSCAPE_FOOTER = '</DL><p>\n';
+
+/**
+ * Escapes text for use in bookmark file content and attribute values
+ * @param {string} text - The raw text
+ * @returns {string} - The escaped text
+ */
+function escapeHtml(text) {
+    return String(text || '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Formats a date as a Netscape ADD_DATE value (unix seconds)
+ * @param {Date} date - The date
+ * @returns {string} - Seconds since the epoch, or '' if missing
+ */
+function toTimestamp(date) {
+    return date ? String(Math.floor(new Date(date).getTime() / 1000)) : '';
+}
+
+/**
+ * Formats the opening of a folder in a bookmark file
+ * @param {Object} folder - The folder ({ name, createdAt })
+ * @param {number} depth - Nesting depth (0 for top-level folders)
+ * @returns {string} - The folder heading and list opening
+ */
+function formatFolderStart(folder, depth) {
+    const indent = '    '.repeat(depth + 1);
+    return `${indent}<DT><H3 ADD_DATE="${toTimestamp(folder.createdAt)}">${escapeHtml(folder.name)}</H3>\n` +
+        `${indent}<DL><p>\n`;
+}
+
+/**
+ * Formats the closing of a folder in a bookmark file
+ * @param {number} depth - Nesting depth (0 for top-level folders)
+ * @returns {string} - The list closing
+ */
+function formatFolderEnd(depth) {
+    return `${'    '.repeat(depth + 1)}</DL><p>\n`;
+}
+
+/**
+ * Formats a bookmark as a Netscape bookmark file entry
+ * @param {Object} bookmark - The bookmark
+ * @param {number} depth - Nesting depth of the containing folder (-1 for root)
+ * @returns {string} - The entry, with the summary as its description
+ */
+function formatBookmark(bookmark, depth) {
+    const indent = '    '.repeat(depth + 2);
+    const tags = (bookmark.tags || []).join(',');
+    let entry = `${indent}<DT><A HREF="${escapeHtml(bookmark.url)}" ADD_DATE="${toTimestamp(bookmark.createdAt)}"` +
+        (tags ? ` TAGS="${escapeHtml(tags)}"` : '') +
+        `>${escapeHtml(bookmark.title || bookmark.url)}</A>\n`;
+
+    const description = bookmark.aiSummary || bookmark.description;
+    if (description) {
+        entry += `${indent}<DD>${escapeHtml(description)}\n`;
+    }
+    return entry;
+}
+
+module.exports = {
+    NETSCAPE_HEADER,
+    NETSCAPE_FOOTER,
+    escapeHtml,
+    parseNetscapeBookmarks,
+    formatFolderStart,
+    formatFolderEnd,
+    formatBookmark
+};
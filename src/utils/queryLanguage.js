@@ -0,0 +1,398 @@
+// Search query language for bookmarks.
+//
+//   tag:rust -tag:beginner domain:github.com is:fav category:Research
+//   before:2024-06-01 after:30d "exact phrase" (tag:go OR tag:rust) NOT is:read
+//
+// before:/after: take a YYYY-MM-DD date or a relative age such as 30d or 2w
+// (days or weeks back from now), so saved searches keep a rolling window.
+//
+// Terms next to each other are ANDed; OR binds looser than AND, and
+// parentheses group. NOT or a leading "-" negates a term or group. Free text
+// at the top level becomes a $text search (so it uses the text index and
+// ranking); free text inside OR or NOT groups falls back to a regex over the
+// text fields, since $text can't be nested.
+
+const Bookmark = require('../models/Bookmark');
+const { tagMatchCondition } = require('./tagHierarchy');
+const { notSnoozedCondition } = require('./reminders');
+
+const CATEGORIES = Bookmark.schema.path('category').enumValues;
+const READING_STATUSES = Bookmark.schema.path('reading.status').enumValues;
+const TEXT_FIELDS = ['title', 'description', 'aiSummary', 'notes', 'url'];
+const FIELDS = ['tag', 'domain', 'is', 'category', 'folder', 'before', 'after'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const AGE_PATTERN = /^(\d+)([dw])$/i;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const AGE_UNITS = { d: DAY_MS, w: 7 * DAY_MS };
+
+/**
+ * Creates a 400 error pointing at a position in the query
+ * @param {string} message - What's wrong
+ * @param {number} position - Character offset in the query
+ * @returns {Error}
+ */
+const syntaxError = (message, position) => {
+    const error = new Error(position === undefined ? message : `${message} (at position ${position + 1})`);
+    error.status = 400;
+    error.position = position;
+    return error;
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Splits a query into tokens
+ * @param {string} input - The query
+ * @returns {Object[]} - Tokens of { type: 'lparen'|'rparen'|'or'|'and'|'not'|'term', ... }
+ */
+function tokenize(input) {
+    const tokens = [];
+    let i = 0;
+
+    const readQuoted = () => {
+        const start = i;
+        i++; // Opening quote
+        let value = '';
+        while (i < input.length && input[i] !== '"') {
+            value += input[i++];
+        }
+        if (i >= input.length) {
+            throw syntaxError('Unterminated quote', start);
+        }
+        i++; // Closing quote
+        return value;
+    };
+
+    const readWord = () => {
+        let value = '';
+        while (i < input.length && !/[\s()"]/.test(input[i])) {
+            value += input[i++];
+        }
+        return value;
+    };
+
+    while (i < input.length) {
+        const char = input[i];
+        const position = i;
+
+        if (/\s/.test(char)) {
+            i++;
+        } else if (char === '(') {
+            tokens.push({ type: 'lparen', position });
+            i++;
+        } else if (char === ')') {
+            tokens.push({ type: 'rparen', position });
+            i++;
+        } else {
+            // A leading "-" negates the term or group that follows
+            let negated = false;
+            if (char === '-' && i + 1 < input.length && !/\s/.test(input[i + 1])) {
+                negated = true;
+                i++;
+            }
+            if (negated && input[i] === '(') {
+                tokens.push({ type: 'not', position });
+                continue;
+            }
+
+            if (input[i] === '"') {
+                tokens.push({ type: 'term', field: null, value: readQuoted(), phrase: true, negated, position });
+                continue;
+            }
+
+            const word = readWord();
+            const colon = word.indexOf(':');
+            const field = colon > 0 ? word.slice(0, colon).toLowerCase() : null;
+
+            if (field && FIELDS.includes(field)) {
+                let value = word.slice(colon + 1);
+                if (!value && input[i] === '"') {
+                    value = readQuoted();
+                }
+                if (!value) {
+                    throw syntaxError(`Missing value for "${field}:"`, position);
+                }
+                tokens.push({ type: 'term', field, value, negated, position });
+            } else if (!negated && word === 'OR') {
+                tokens.push({ type: 'or', position });
+            } else if (!negated && word === 'AND') {
+                tokens.push({ type: 'and', position });
+            } else if (!negated && word === 'NOT') {
+                tokens.push({ type: 'not', position });
+            } else {
+                tokens.push({ type: 'term', field: null, value: word, phrase: false, negated, position });
+            }
+        }
+    }
+
+    return tokens;
+}
+
+/**
+ * Parses tokens into a tree of { type: 'and'|'or', children }, { type: 'not', child }
+ * and { type: 'term', ... } nodes
+ * @param {Object[]} tokens - Tokens from tokenize
+ * @returns {Object|null} - The root node, or null for an empty query
+ */
+function parse(tokens) {
+    let index = 0;
+    const peek = () => tokens[index];
+
+    const parseOr = () => {
+        const children = [parseAnd()];
+        while (peek() && peek().type === 'or') {
+            const operator = tokens[index++];
+            if (!peek() || peek().type === 'rparen' || peek().type === 'or') {
+                throw syntaxError('Expected a term after OR', operator.position);
+            }
+            children.push(parseAnd());
+        }
+        return children.length === 1 ? children[0] : { type: 'or', children };
+    };
+
+    const parseAnd = () => {
+        const children = [parseUnary()];
+        while (peek() && peek().type !== 'or' && peek().type !== 'rparen') {
+            if (peek().type === 'and') {
+                const operator = tokens[index++];
+                if (!peek() || peek().type === 'rparen' || peek().type === 'or' || peek().type === 'and') {
+                    throw syntaxError('Expected a term after AND', operator.position);
+                }
+            }
+            children.push(parseUnary());
+        }
+        return children.length === 1 ? children[0] : { type: 'and', children };
+    };
+
+    const parseUnary = () => {
+        const token = peek();
+        if (!token) {
+            throw syntaxError('Unexpected end of query');
+        }
+
+        if (token.type === 'not') {
+            index++;
+            if (!peek() || peek().type === 'rparen' || peek().type === 'or' || peek().type === 'and') {
+                throw syntaxError('Expected a term after NOT', token.position);
+            }
+            return { type: 'not', child: parseUnary() };
+        }
+
+        if (token.type === 'lparen') {
+            index++;
+            if (peek() && peek().type === 'rparen') {
+                throw syntaxError('Empty parentheses', token.position);
+            }
+            const node = parseOr();
+            if (!peek() || peek().type !== 'rparen') {
+                throw syntaxError('Missing closing parenthesis', token.position);
+            }
+            index++;
+            return node;
+        }
+
+        if (token.type === 'term') {
+            index++;
+            const { negated, ...term } = token;
+            return negated ? { type: 'not', child: term } : term;
+        }
+
+        const label = { rparen: ')', or: 'OR', and: 'AND' }[token.type];
+        throw syntaxError(`Unexpected "${label}"`, token.position);
+    };
+
+    if (tokens.length === 0) {
+        return null;
+    }
+
+    const root = parseOr();
+    if (index < tokens.length) {
+        throw syntaxError('Unexpected ")"', tokens[index].position);
+    }
+    return root;
+}
+
+/**
+ * Parses a YYYY-MM-DD date as midnight UTC, or a relative age like 30d
+ * @param {Object} term - The before:/after: term
+ * @returns {Object} - { date, relative }
+ */
+const parseDate = (term) => {
+    const age = AGE_PATTERN.exec(term.value);
+    if (age) {
+        const date = new Date(Date.now() - Number(age[1]) * AGE_UNITS[age[2].toLowerCase()]);
+        return { date, relative: true };
+    }
+
+    const date = new Date(`${term.value}T00:00:00.000Z`);
+    if (!DATE_PATTERN.test(term.value) || isNaN(date)) {
+        throw syntaxError(
+            `Invalid date "${term.value}" for ${term.field}: (expected YYYY-MM-DD or an age like 30d)`,
+            term.position
+        );
+    }
+    return { date, relative: false };
+};
+
+/**
+ * Compiles a field term into a Mongo condition
+ * @param {Object} term - The term node
+ * @returns {Object} - Mongo filter
+ */
+function compileField(term) {
+    const { field, value } = term;
+
+    switch (field) {
+        case 'tag':
+            return { tags: tagMatchCondition([value.toLowerCase()]) };
+
+        case 'domain': {
+            const domain = value.toLowerCase().replace(/^https?:\/\//, '').replace(/\/.*$/, '');
+            // Matches the domain and its subdomains
+            return { url: new RegExp(`^(https?:\\/\\/)?([^/]*\\.)?${escapeRegex(domain)}(:\\d+)?(\\/|$)`, 'i') };
+        }
+
+        case 'category': {
+            const category = CATEGORIES.find(name => name.toLowerCase() === value.toLowerCase());
+            if (!category) {
+                throw syntaxError(`Unknown category "${value}" (expected one of: ${CATEGORIES.join(', ')})`, term.position);
+            }
+            return { category };
+        }
+
+        case 'folder':
+            if (value.toLowerCase() === 'none') {
+                return { folder: null };
+            }
+            if (!/^[0-9a-f]{24}$/i.test(value)) {
+                throw syntaxError(`Invalid folder ID "${value}"`, term.position);
+            }
+            return { folder: value };
+
+        case 'before':
+            return { createdAt: { $lt: parseDate(term).date } };
+
+        case 'after': {
+            // A calendar date means from the following day on; an age means
+            // within that window
+            const { date, relative } = parseDate(term);
+            return { createdAt: { $gte: relative ? date : new Date(date.getTime() + DAY_MS) } };
+        }
+
+        case 'is': {
+            const flag = value.toLowerCase();
+            if (flag === 'fav' || flag === 'favorite') {
+                return { isFavorite: true };
+            }
+            if (READING_STATUSES.includes(flag)) {
+                // Bookmarks saved before reading status existed count as unread
+                return { 'reading.status': flag === 'unread' ? { $in: ['unread', null] } : flag };
+            }
+            if (flag === 'snoozed') {
+                return { 'reminder.remindAt': { $gt: new Date() } };
+            }
+            if (flag === 'due') {
+                return { 'reminder.remindAt': { $ne: null, ...notSnoozedCondition() } };
+            }
+            throw syntaxError(
+                `Unknown value "${value}" for is: (expected fav, ${READING_STATUSES.join(', ')}, snoozed or due)`,
+                term.position
+            );
+        }
+    }
+}
+
+/**
+ * Compiles free text into a regex match over the text fields, for text that
+ * can't go into $text
+ * @param {Object} term - The term node
+ * @returns {Object} - Mongo filter
+ */
+const compileTextRegex = (term) => {
+    const pattern = new RegExp(escapeRegex(term.value), 'i');
+    return { $or: TEXT_FIELDS.map(field => ({ [field]: pattern })) };
+};
+
+/**
+ * Compiles a node into a Mongo filter
+ * @param {Object} node - The parse tree node
+ * @returns {Object} - Mongo filter
+ */
+function compileNode(node) {
+    switch (node.type) {
+        case 'and':
+            return { $and: node.children.map(compileNode) };
+        case 'or':
+            return { $or: node.children.map(compileNode) };
+        case 'not':
+            return { $nor: [compileNode(node.child)] };
+        case 'term':
+            return node.field ? compileField(node) : compileTextRegex(node);
+    }
+}
+
+/**
+ * Parses a search query and compiles it to a Mongo filter
+ * @param {string} input - The query
+ * @returns {Object} - { filter, text }: filter is a Mongo filter (or null if
+ *                     nothing but text), text a $text search string (or null)
+ * @throws {Error} - With status 400 for malformed queries
+ */
+function compileQuery(input) {
+    const root = parse(tokenize(String(input || '')));
+    if (!root) {
+        return { filter: null, text: null };
+    }
+
+    // Top-level free text goes to $text; $text understands "-word" and
+    // "quoted phrases" itself
+    const topLevel = root.type === 'and' ? root.children : [root];
+    const isText = node => node.type === 'term' && !node.field;
+    const textParts = [];
+    const excludedText = [];
+    const rest = [];
+
+    topLevel.forEach(node => {
+        if (isText(node)) {
+            textParts.push(node.phrase ? `"${node.value}"` : node.value);
+        } else if (node.type === 'not' && isText(node.child) && !node.child.phrase) {
+            excludedText.push(node);
+        } else {
+            rest.push(node);
+        }
+    });
+
+    // $text can't consist of exclusions alone, so without any positive text
+    // excluded words stay regex filters
+    if (textParts.length > 0) {
+        excludedText.forEach(node => textParts.push(`-${node.child.value}`));
+    } else {
+        rest.push(...excludedText);
+    }
+
+    const conditions = rest.map(compileNode);
+
+    return {
+        filter: conditions.length === 0 ? null : conditions.length === 1 ? conditions[0] : { $and: conditions },
+        text: textParts.length > 0 ? textParts.join(' ') : null
+    };
+}
+
+/**
+ * Whether a query filters on snoozed bookmarks itself (is:snoozed, negated or
+ * not), so listings know not to hide snoozed bookmarks by default
+ * @param {string} input - The query
+ * @returns {boolean}
+ */
+function mentionsSnoozed(input) {
+    return tokenize(String(input || '')).some(token =>
+        token.type === 'term' && token.field === 'is' && token.value.toLowerCase() === 'snoozed'
+    );
+}
+
+module.exports = {
+    tokenize,
+    parse,
+    compileQuery,
+    mentionsSnoozed
+};
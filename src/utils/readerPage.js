@@ -0,0 +1,59 @@
+// Renders stored bookmark content as a standalone page for offline reading
+
+const { escapeHtml } = require('./netscapeBookmarks');
+
+const READER_STYLE = `
+    body { max-width: 42em; margin: 2em auto; padding: 0 1em; font: 18px/1.6 Georgia, serif; color: #222; }
+    header { border-bottom: 1px solid #ddd; margin-bottom: 1.5em; }
+    header p { font: 14px/1.4 sans-serif; color: #666; }
+    pre { overflow-x: auto; background: #f5f5f5; padding: 1em; font-size: 14px; }
+    blockquote { border-left: 3px solid #ddd; margin-left: 0; padding-left: 1em; color: #555; }
+`;
+
+/**
+ * Renders one reader block. List items are rendered as paragraphs with a
+ * bullet, since consecutive items aren't grouped into their list.
+ * @param {Object} block - { tag, text }
+ * @returns {string} - HTML
+ */
+const renderBlock = ({ tag, text }) => {
+    const escaped = escapeHtml(text);
+    if (/^h[1-6]$/.test(tag)) return `<${tag}>${escaped}</${tag}>`;
+    if (tag === 'li') return `<p>&bull; ${escaped}</p>`;
+    if (tag === 'blockquote') return `<blockquote>${escaped}</blockquote>`;
+    if (tag === 'pre') return `<pre>${escaped}</pre>`;
+    return `<p>${escaped}</p>`;
+};
+
+/**
+ * Renders a reader page
+ * @param {Object} content - The BookmarkContent document
+ * @param {Object} bookmark - The bookmark, for its title and URL
+ * @returns {string} - A complete HTML document
+ */
+function renderReaderPage(content, bookmark) {
+    const title = bookmark.title || content.title || bookmark.url;
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${READER_STYLE}</style>
+</head>
+<body>
+<header>
+<h1>${escapeHtml(title)}</h1>
+<p><a href="${escapeHtml(content.url)}">${escapeHtml(content.url)}</a><br>Saved ${content.fetchedAt.toISOString().slice(0, 10)}</p>
+</header>
+<article>
+${content.blocks.map(renderBlock).join('\n')}
+</article>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+    renderReaderPage
+};
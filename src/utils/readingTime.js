@@ -0,0 +1,56 @@
+// Word counts and reading time estimates for fetched page content
+
+// Average adult silent reading speed
+const READING_WORDS_PER_MINUTE = 230;
+// Typical speaking rate, for video transcripts
+const SPEAKING_WORDS_PER_MINUTE = 150;
+
+/**
+ * Counts the words in a piece of text
+ * @param {string} text - The text
+ * @returns {number} - Number of words
+ */
+function countWords(text) {
+    if (!text || typeof text !== 'string') return 0;
+    const words = text.trim().match(/\S+/g);
+    return words ? words.length : 0;
+}
+
+/**
+ * Estimates how long content takes to get through, in whole minutes
+ * @param {number} wordCount - Number of words
+ * @param {Object} options - Optional settings
+ * @param {boolean} options.spoken - Whether the words are a video transcript
+ * @returns {number} - Minutes (at least 1 for any non-empty content)
+ */
+function estimateReadingTime(wordCount, { spoken = false } = {}) {
+    if (!wordCount) return 0;
+    const wordsPerMinute = spoken ? SPEAKING_WORDS_PER_MINUTE : READING_WORDS_PER_MINUTE;
+    return Math.max(1, Math.round(wordCount / wordsPerMinute));
+}
+
+/**
+ * Measures content returned by fetchContent
+ * @param {Object} fetchedContent - { content, isYouTube, hasTranscript }
+ * @returns {Object|null} - { wordCount, readingTime }, or null if the
+ *                          content doesn't say how long the page is
+ */
+function measureContent(fetchedContent) {
+    const { content, isYouTube, hasTranscript } = fetchedContent;
+
+    // Without a transcript a video's content is just a placeholder line
+    if (isYouTube && !hasTranscript) return null;
+
+    const text = isYouTube ? content.split('Transcript:\n').pop() : content;
+    const wordCount = countWords(text);
+    return {
+        wordCount,
+        readingTime: estimateReadingTime(wordCount, { spoken: isYouTube })
+    };
+}
+
+module.exports = {
+    countWords,
+    estimateReadingTime,
+    measureContent
+};
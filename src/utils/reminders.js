@@ -0,0 +1,80 @@
+// Reminder scheduling. Reminders are evaluated lazily: a bookmark is snoozed
+// while its remindAt is in the future and due once it has passed, so no
+// timer or scheduled job has to fire at the reminder time.
+
+const RECURRENCES = ['none', 'daily', 'weekly', 'monthly'];
+
+/**
+ * Adds whole months to a date, clamping to the end of shorter months
+ * (Jan 31 + 1 month = Feb 28/29)
+ * @param {Date} date - The date
+ * @param {number} months - Months to add
+ * @returns {Date} - The new date
+ */
+function addMonths(date, months) {
+    const result = new Date(date);
+    const day = result.getUTCDate();
+    result.setUTCDate(1);
+    result.setUTCMonth(result.getUTCMonth() + months);
+    const daysInMonth = new Date(Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0)).getUTCDate();
+    result.setUTCDate(Math.min(day, daysInMonth));
+    return result;
+}
+
+/**
+ * Moves a date forward by one recurrence interval
+ * @param {Date} date - The date
+ * @param {string} recurrence - 'daily', 'weekly' or 'monthly'
+ * @param {number} times - Number of intervals
+ * @returns {Date} - The new date
+ */
+function advance(date, recurrence, times) {
+    switch (recurrence) {
+        case 'daily':
+            return new Date(date.getTime() + times * 24 * 60 * 60 * 1000);
+        case 'weekly':
+            return new Date(date.getTime() + times * 7 * 24 * 60 * 60 * 1000);
+        case 'monthly':
+            return addMonths(date, times);
+        default:
+            throw new Error(`Unknown recurrence: ${recurrence}`);
+    }
+}
+
+/**
+ * Finds the next time a recurring reminder fires after a given time,
+ * keeping the original time of day and day of week/month
+ * @param {Date} remindAt - The reminder's current time
+ * @param {string} recurrence - One of RECURRENCES
+ * @param {Date} after - The next occurrence must be later than this
+ * @returns {Date|null} - The next occurrence, or null if it doesn't recur
+ */
+function nextOccurrence(remindAt, recurrence, after = new Date()) {
+    if (!recurrence || recurrence === 'none') return null;
+
+    // Monthly steps vary in length, so count from the original date each
+    // time rather than accumulating clamped dates
+    let times = 1;
+    let next = advance(remindAt, recurrence, times);
+    while (next <= after) {
+        times++;
+        next = advance(remindAt, recurrence, times);
+    }
+    return next;
+}
+
+/**
+ * Filter condition on `reminder.remindAt` matching bookmarks that aren't
+ * snoozed, i.e. have no reminder or one that's already due
+ * @param {Date} now - The current time
+ * @returns {Object}
+ */
+function notSnoozedCondition(now = new Date()) {
+    return { $not: { $gt: now } };
+}
+
+module.exports = {
+    RECURRENCES,
+    nextOccurrence,
+    notSnoozedCondition
+};
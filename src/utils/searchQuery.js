@@ -0,0 +1,124 @@
+// Builds Mongo filters from bookmark search parameters
+const Bookmark = require('../models/Bookmark');
+const { tagMatchCondition } = require('./tagHierarchy');
+const { compileQuery } = require('./queryLanguage');
+
+const ANALYSIS_STATUSES = Bookmark.schema.path('analysis.status').enumValues;
+const READING_STATUSES = Bookmark.schema.path('reading.status').enumValues;
+
+// Sort orders for bookmark listings, selected with ?sort=
+const SORT_ORDERS = {
+    newest: { createdAt: -1 },
+    oldest: { createdAt: 1 },
+    mostVisited: { clickCount: -1, lastVisitedAt: -1, createdAt: -1 },
+    recentlyVisited: { lastVisitedAt: -1, createdAt: -1 }
+};
+
+/**
+ * Parses a comma-separated status list, dropping unknown values
+ * @param {string} value - e.g. "failed,partial"
+ * @param {string[]} allowed - The valid statuses
+ * @returns {string[]} - Valid statuses
+ */
+function parseStatusList(value, allowed) {
+    if (!value || typeof value !== 'string') return [];
+    return value.split(',')
+        .map(status => status.trim())
+        .filter(status => allowed.includes(status));
+}
+
+/**
+ * Parses a comma-separated analysis status list, dropping unknown values
+ * @param {string} value - e.g. "failed,partial"
+ * @returns {string[]} - Valid statuses
+ */
+function parseAnalysisStatuses(value) {
+    return parseStatusList(value, ANALYSIS_STATUSES);
+}
+
+/**
+ * Builds a filter on reading status from a comma-separated list
+ * @param {string} value - e.g. "unread,reading"
+ * @returns {Object|null} - Condition for `reading.status`, or null if none given
+ */
+function buildReadingStatusFilter(value) {
+    const statuses = parseStatusList(value, READING_STATUSES);
+    if (statuses.length === 0) return null;
+
+    // Bookmarks saved before reading status existed count as unread
+    return { $in: statuses.includes('unread') ? [...statuses, null] : statuses };
+}
+
+/**
+ * Resolves a sort parameter to a Mongo sort
+ * @param {string} value - One of the SORT_ORDERS keys
+ * @param {Object} fallback - Sort to use when no valid order is given
+ * @returns {Object} - The Mongo sort
+ */
+function parseSort(value, fallback = SORT_ORDERS.newest) {
+    return SORT_ORDERS[value] || fallback;
+}
+
+/**
+ * Builds the bookmark filter used by search and export
+ * @param {string} userId - The user ID
+ * @param {Object} params - Query parameters (tags, query, folderId, favorite, category,
+ *                          analysisStatus, readingStatus); query uses the search
+ *                          query language (see utils/queryLanguage)
+ * @returns {Object} - Mongo filter for the Bookmark collection
+ * @throws {Error} - With status 400 if the query is malformed
+ */
+function buildSearchFilter(userId, params) {
+    const { tags, query, folderId, favorite, category, analysisStatus, readingStatus } = params;
+    const searchQuery = { user: userId };
+
+    if ('folderId' in params) {
+        searchQuery.folder = folderId || null;
+    }
+
+    if (favorite === 'true') {
+        searchQuery.isFavorite = true;
+    }
+
+    if (category) {
+        searchQuery.category = category;
+    }
+
+    const statuses = parseAnalysisStatuses(analysisStatus);
+    if (statuses.length > 0) {
+        searchQuery['analysis.status'] = { $in: statuses };
+    }
+
+    const readingFilter = buildReadingStatusFilter(readingStatus);
+    if (readingFilter) {
+        searchQuery['reading.status'] = readingFilter;
+    }
+
+    if (tags && typeof tags === 'string') {
+        const searchTags = tags.split(',').map(tag => tag.trim()).filter(Boolean);
+        if (searchTags.length > 0) {
+            // A parent tag also matches its descendants
+            searchQuery.tags = tagMatchCondition(searchTags);
+        }
+    }
+
+    if (query && typeof query === 'string' && query.trim()) {
+        const { filter, text } = compileQuery(query);
+        if (filter) {
+            searchQuery.$and = [filter];
+        }
+        if (text) {
+            searchQuery.$text = { $search: text };
+        }
+    }
+
+    return searchQuery;
+}
+
+module.exports = {
+    SORT_ORDERS,
+    parseAnalysisStatuses,
+    buildReadingStatusFilter,
+    parseSort,
+    buildSearchFilter
+};
@@ -0,0 +1,141 @@
+// Simhash content fingerprints for near-duplicate detection. Texts that
+// differ only a little (boilerplate, a changed byline, a syndication note)
+// get fingerprints a few bits apart, so comparing fingerprints finds copies
+// of the same article without comparing the texts themselves.
+
+const FINGERPRINT_BITS = 64;
+// Fingerprints at most this many bits apart count as the same content
+const DUPLICATE_DISTANCE = 3;
+// Shorter texts don't carry enough signal to fingerprint reliably
+const MIN_FINGERPRINT_WORDS = 50;
+const MIN_FEATURE_LENGTH = 4;
+
+const MASK = (1n << 64n) - 1n;
+
+// 64-bit FNV-1a
+const hash64 = (text) => {
+    let hash = 0xcbf29ce484222325n;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= BigInt(text.charCodeAt(i));
+        hash = (hash * 0x100000001b3n) & MASK;
+    }
+    return hash;
+};
+
+/**
+ * Computes the simhash of a text from its word frequencies
+ * @param {string} text - The text
+ * @returns {string|null} - 16 hex digits, or null if the text is too short
+ */
+function computeFingerprint(text) {
+    const words = String(text || '')
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(Boolean);
+    if (words.length < MIN_FINGERPRINT_WORDS) return null;
+
+    // Each distinct word votes on every bit. Votes grow with the log of the
+    // word's count, and very short words are skipped, so the function words
+    // every text shares don't drown out what it's about.
+    const frequencies = new Map();
+    words
+        .filter(word => word.length >= MIN_FEATURE_LENGTH)
+        .forEach(word => frequencies.set(word, (frequencies.get(word) || 0) + 1));
+
+    const weights = new Array(FINGERPRINT_BITS).fill(0);
+    frequencies.forEach((count, word) => {
+        const hash = hash64(word);
+        const weight = 1 + Math.log(count);
+        for (let bit = 0; bit < FINGERPRINT_BITS; bit++) {
+            weights[bit] += (hash >> BigInt(bit)) & 1n ? weight : -weight;
+        }
+    });
+
+    let fingerprint = 0n;
+    weights.forEach((weight, bit) => {
+        if (weight > 0) fingerprint |= 1n << BigInt(bit);
+    });
+    return fingerprint.toString(16).padStart(FINGERPRINT_BITS / 4, '0');
+}
+
+/**
+ * Counts the bits in which two fingerprints differ
+ * @param {string} a - Fingerprint from computeFingerprint
+ * @param {string} b - Fingerprint from computeFingerprint
+ * @returns {number}
+ */
+function hammingDistance(a, b) {
+    let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+    let distance = 0;
+    while (diff) {
+        diff &= diff - 1n;
+        distance++;
+    }
+    return distance;
+}
+
+/**
+ * Whether two fingerprints likely belong to the same content
+ * @param {string} a - Fingerprint (may be null)
+ * @param {string} b - Fingerprint (may be null)
+ * @returns {boolean}
+ */
+const isNearDuplicate = (a, b) => !!a && !!b && hammingDistance(a, b) <= DUPLICATE_DISTANCE;
+
+/**
+ * Splits a fingerprint into DUPLICATE_DISTANCE + 1 bands. Two fingerprints
+ * within the duplicate distance must agree on at least one whole band, so
+ * only fingerprints sharing a band need comparing; stored on bookmarks, the
+ * bands make that an index lookup.
+ * @param {string} fingerprint - Fingerprint from computeFingerprint (may be null)
+ * @returns {string[]} - Band keys such as '2:3f1a', or [] without a fingerprint
+ */
+function fingerprintBands(fingerprint) {
+    if (!fingerprint) return [];
+    const bandCount = DUPLICATE_DISTANCE + 1;
+    const bandBits = Math.ceil(FINGERPRINT_BITS / bandCount);
+    const value = BigInt(`0x${fingerprint}`);
+    return Array.from({ length: bandCount }, (_, band) =>
+        `${band}:${((value >> BigInt(band * bandBits)) & ((1n << BigInt(bandBits)) - 1n)).toString(16)}`
+    );
+}
+
+/**
+ * Finds the pairs of near-duplicate fingerprints in a list without comparing
+ * every pair, by only comparing fingerprints that share a band
+ * @param {string[]} fingerprints - Fingerprints (nulls are skipped)
+ * @returns {Array<[number, number, number]>} - [i, j, distance] index pairs, i < j
+ */
+function findNearDuplicatePairs(fingerprints) {
+    const buckets = new Map();
+
+    fingerprints.forEach((fingerprint, index) => {
+        fingerprintBands(fingerprint).forEach(key => {
+            if (!buckets.has(key)) buckets.set(key, []);
+            buckets.get(key).push(index);
+        });
+    });
+
+    const pairs = new Map();
+    buckets.forEach(indexes => {
+        for (let a = 0; a < indexes.length; a++) {
+            for (let b = a + 1; b < indexes.length; b++) {
+                const key = `${indexes[a]}:${indexes[b]}`;
+                if (pairs.has(key)) continue;
+                const distance = hammingDistance(fingerprints[indexes[a]], fingerprints[indexes[b]]);
+                pairs.set(key, distance <= DUPLICATE_DISTANCE ? [indexes[a], indexes[b], distance] : null);
+            }
+        }
+    });
+
+    return [...pairs.values()].filter(Boolean);
+}
+
+module.exports = {
+    DUPLICATE_DISTANCE,
+    computeFingerprint,
+    hammingDistance,
+    isNearDuplicate,
+    fingerprintBands,
+    findNearDuplicatePairs
+};
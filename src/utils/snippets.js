@@ -0,0 +1,174 @@
+// Builds highlighted snippets showing where search text matched a bookmark.
+// Snippets are ready-to-insert HTML: the text is escaped and matches are
+// wrapped in <mark>, so clients can render them as they are.
+
+const { escapeHtml } = require('./netscapeBookmarks');
+
+// Characters of context kept on each side of a match
+const SNIPPET_CONTEXT = 80;
+// Snippets taken from the stored page text; the bookmark's own fields are
+// short enough that one snippet each covers them
+const MAX_CONTENT_SNIPPETS = 3;
+const ELLIPSIS = '…';
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Reduces a search word to a rough stem, so "bookmarks" also highlights
+ * "bookmark" and "bookmarking" the way the text index's stemming matches them
+ * @param {string} word - Lowercased word
+ * @returns {string}
+ */
+const stem = (word) => {
+    const stemmed = word.replace(/(ing|ed|es|s)$/, '');
+    return stemmed.length >= 3 ? stemmed : word;
+};
+
+/**
+ * Splits a $text search string into the phrases and words to highlight.
+ * Excluded words and phrases ("-word") are left out.
+ * @param {string} text - The $text search string
+ * @returns {Object} - { phrases, words }
+ */
+const parseSearchText = (text) => {
+    const phrases = [];
+    const words = [];
+    const pattern = /(-?)"([^"]*)"?|(\S+)/g;
+    let match;
+    while ((match = pattern.exec(String(text || ''))) !== null) {
+        if (match[2] !== undefined) {
+            if (!match[1] && match[2].trim()) phrases.push(match[2].trim());
+        } else if (!match[3].startsWith('-')) {
+            words.push(...match[3].toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean));
+        }
+    }
+    return { phrases, words };
+};
+
+/**
+ * Compiles search text into a regex matching the phrases exactly (ignoring
+ * case and spacing) and words by their stem
+ * @param {string} text - The $text search string
+ * @returns {RegExp|null} - null if there's nothing to highlight
+ */
+const buildMatcher = (text) => {
+    const { phrases, words } = parseSearchText(text);
+    const alternatives = [
+        ...phrases.map(phrase => escapeRegex(phrase).replace(/\s+/g, '\\s+')),
+        ...[...new Set(words.map(stem))].map(word => `(?<![\\p{L}\\p{N}])${escapeRegex(word)}[\\p{L}\\p{N}]*`)
+    ];
+    if (alternatives.length === 0) return null;
+    // Longest first, so a phrase wins over the words inside it
+    alternatives.sort((a, b) => b.length - a.length);
+    return new RegExp(alternatives.join('|'), 'giu');
+};
+
+/**
+ * Finds the matches in a text
+ * @param {string} text - The text
+ * @param {RegExp} matcher - Result of buildMatcher
+ * @returns {Object[]} - [{ start, end }] in order, not overlapping
+ */
+const findMatches = (text, matcher) => {
+    const matches = [];
+    matcher.lastIndex = 0;
+    let match;
+    while ((match = matcher.exec(text)) !== null) {
+        if (match[0].length === 0) {
+            matcher.lastIndex++;
+            continue;
+        }
+        matches.push({ start: match.index, end: match.index + match[0].length });
+    }
+    return matches;
+};
+
+/**
+ * Groups matches into snippet windows, merging matches whose context overlaps
+ * @param {Object[]} matches - Result of findMatches
+ * @param {number} length - Length of the text
+ * @returns {Object[]} - [{ start, end, matches }]
+ */
+const buildWindows = (matches, length) => {
+    const windows = [];
+    matches.forEach(match => {
+        const last = windows[windows.length - 1];
+        if (last && match.start - SNIPPET_CONTEXT <= last.end) {
+            last.end = Math.min(length, match.end + SNIPPET_CONTEXT);
+            last.matches.push(match);
+        } else {
+            windows.push({
+                start: Math.max(0, match.start - SNIPPET_CONTEXT),
+                end: Math.min(length, match.end + SNIPPET_CONTEXT),
+                matches: [match]
+            });
+        }
+    });
+    return windows;
+};
+
+/**
+ * Renders one window as HTML, trimmed to whole words, with the matches marked
+ * @param {string} text - The field text
+ * @param {Object} window - { start, end, matches }
+ * @returns {string}
+ */
+const renderWindow = (text, { start, end, matches }) => {
+    const first = matches[0];
+    const last = matches[matches.length - 1];
+
+    // Don't start or end mid-word
+    if (start > 0) {
+        const space = text.slice(start, first.start).search(/\s/);
+        if (space !== -1) start += space + 1;
+    }
+    if (end < text.length) {
+        const space = text.slice(last.end, end).search(/\s\S*$/);
+        if (space !== -1) end = last.end + space;
+    }
+
+    const clean = (part) => escapeHtml(part.replace(/\s+/g, ' '));
+    let html = '';
+    let position = start;
+    matches.forEach(match => {
+        html += clean(text.slice(position, match.start));
+        html += `<mark>${clean(text.slice(match.start, match.end))}</mark>`;
+        position = match.end;
+    });
+    html += clean(text.slice(position, end));
+
+    return `${start > 0 ? ELLIPSIS : ''}${html.trim()}${end < text.length ? ELLIPSIS : ''}`;
+};
+
+/**
+ * Builds the snippets for a search result
+ * @param {Object[]} fields - [{ field, text }] in display order; the 'content'
+ *                            field (stored page text) may give several snippets
+ * @param {string} searchText - The $text search string
+ * @returns {Object[]} - [{ field, html }], only for fields that matched
+ */
+const buildSnippets = (fields, searchText) => {
+    const matcher = buildMatcher(searchText);
+    if (!matcher) return [];
+
+    const snippets = [];
+    fields.forEach(({ field, text }) => {
+        if (!text) return;
+        const matches = findMatches(text, matcher);
+        if (matches.length === 0) return;
+
+        const limit = field === 'content' ? MAX_CONTENT_SNIPPETS : 1;
+        // The windows with the most matches, shown in document order
+        buildWindows(matches, text.length)
+            .map((window, index) => ({ window, index }))
+            .sort((a, b) => b.window.matches.length - a.window.matches.length || a.index - b.index)
+            .slice(0, limit)
+            .sort((a, b) => a.index - b.index)
+            .forEach(({ window }) => snippets.push({ field, html: renderWindow(text, window) }));
+    });
+    return snippets;
+};
+
+module.exports = {
+    buildSnippets
+};
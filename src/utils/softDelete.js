@@ -0,0 +1,57 @@
+// Mongoose plugin for soft deletion (the trash).
+//
+// Adds a `deletedAt` timestamp and hides trashed documents from every query
+// and aggregation. Queries can opt back in by filtering on `deletedAt`
+// themselves or with `.setOptions({ withDeleted: true })`.
+
+const QUERY_HOOKS = [
+    'countDocuments',
+    'distinct',
+    'find',
+    'findOne',
+    'findOneAndDelete',
+    'findOneAndUpdate',
+    'deleteMany',
+    'deleteOne',
+    'updateMany',
+    'updateOne'
+];
+
+function excludeDeletedFromQuery() {
+    if (this.getOptions().withDeleted || 'deletedAt' in this.getFilter()) {
+        return;
+    }
+    this.where({ deletedAt: null });
+}
+
+function excludeDeletedFromAggregate() {
+    if (this.options.withDeleted) {
+        return;
+    }
+
+    const pipeline = this.pipeline();
+    const first = pipeline[0];
+
+    // A $text match has to stay the first stage, so merge into it instead
+    if (first && first.$match && first.$match.$text) {
+        if (!('deletedAt' in first.$match)) {
+            first.$match.deletedAt = null;
+        }
+        return;
+    }
+    pipeline.unshift({ $match: { deletedAt: null } });
+}
+
+module.exports = function softDelete(schema) {
+    schema.add({
+        deletedAt: {
+            type: Date,
+            default: null
+        }
+    });
+
+    schema.index({ deletedAt: 1 });
+
+    schema.pre(QUERY_HOOKS, excludeDeletedFromQuery);
+    schema.pre('aggregate', excludeDeletedFromAggregate);
+};
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '../../.env') });
+
+const Bookmark = require('../models/Bookmark');
+const BookmarkContent = require('../models/BookmarkContent');
+const Highlight = require('../models/Highlight');
+
+// MongoDB allows a single text index per collection, so changing the indexed
+// fields or their weights means dropping the old index. syncIndexes drops indexes that are no
+// longer in the schema and builds the new ones.
+async function syncBookmarkIndexes() {
+    try {
+        const mongoUri = process.env.MONGODB_URI;
+        if (!mongoUri) {
+            console.error('MONGODB_URI environment variable is not set');
+            process.exit(1);
+        }
+
+        console.log('Connecting to MongoDB...');
+        await mongoose.connect(mongoUri);
+
+        console.log('Connected to MongoDB');
+
+        // Stored page content and highlights have their own text indexes
+        for (const Model of [Bookmark, BookmarkContent, Highlight]) {
+            const dropped = await Model.syncIndexes();
+            console.log(`${Model.modelName}: dropped ${dropped.length} outdated indexes${dropped.length ? `: ${dropped.join(', ')}` : ''}`);
+        }
+
+        console.log('Index sync completed successfully');
+
+        await mongoose.connection.close();
+        process.exit(0);
+    } catch (error) {
+        console.error('Index sync failed:', error);
+        if (mongoose.connection.readyState === 1) {
+            await mongoose.connection.close();
+        }
+        process.exit(1);
+    }
+}
+
+// Run the sync
+console.log('Starting bookmark index sync...');
+syncBookmarkIndexes();
@@ -0,0 +1,152 @@
+// Hierarchical tags. A tag can be a path like "ai/ml/transformers"; every
+// prefix of the path ("ai", "ai/ml") is its ancestor. Flat tags are simply
+// paths with one segment.
+
+const TAG_PATH_SEPARATOR = '/';
+// How many hierarchy paths the AI tag generators are shown at most
+const MAX_PROMPT_PATHS = 150;
+
+/**
+ * Splits a tag into its path segments
+ * @param {string} tag - The tag
+ * @returns {string[]} - Non-empty, trimmed segments
+ */
+function splitTagPath(tag) {
+    return String(tag || '')
+        .split(TAG_PATH_SEPARATOR)
+        .map(segment => segment.trim())
+        .filter(Boolean);
+}
+
+/**
+ * Lists the ancestors of a tag, nearest last
+ * @param {string} tag - e.g. "ai/ml/transformers"
+ * @returns {string[]} - e.g. ["ai", "ai/ml"]
+ */
+function getAncestors(tag) {
+    const segments = splitTagPath(tag);
+    return segments.slice(0, -1).map((_, i) => segments.slice(0, i + 1).join(TAG_PATH_SEPARATOR));
+}
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Builds a condition on the `tags` field matching any of the given tags or
+ * their descendants, so searching "ai" also finds "ai/ml/transformers"
+ * @param {string[]} tags - The tags
+ * @returns {Object} - Condition for the tags field
+ */
+function tagMatchCondition(tags) {
+    const descendants = tags.map(tag => new RegExp(`^${escapeRegex(tag)}${TAG_PATH_SEPARATOR}`));
+    return { $in: [...tags, ...descendants] };
+}
+
+/**
+ * Builds the tag tree with counts rolled up to every ancestor. A bookmark
+ * counts once per node even if it has several tags below it.
+ * @param {string[][]} tagLists - The tags of each bookmark
+ * @returns {Object[]} - Root nodes of { name, label, ownCount, count, children },
+ *                       where name is the full path and children are sorted by count
+ */
+function buildTagTree(tagLists) {
+    const nodes = new Map();
+    const getNode = (path) => {
+        if (!nodes.has(path)) {
+            const segments = splitTagPath(path);
+            nodes.set(path, {
+                name: path,
+                label: segments[segments.length - 1],
+                ownCount: 0,
+                count: 0,
+                children: []
+            });
+        }
+        return nodes.get(path);
+    };
+
+    tagLists.forEach(tags => {
+        const counted = new Set();
+        (tags || []).forEach(tag => {
+            getNode(tag).ownCount++;
+            [...getAncestors(tag), tag].forEach(path => counted.add(path));
+        });
+        counted.forEach(path => getNode(path).count++);
+    });
+
+    const roots = [];
+    nodes.forEach((node, path) => {
+        const ancestors = getAncestors(path);
+        if (ancestors.length === 0) {
+            roots.push(node);
+        } else {
+            getNode(ancestors[ancestors.length - 1]).children.push(node);
+        }
+    });
+
+    const sortNodes = (list) => {
+        list.sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+        list.forEach(node => sortNodes(node.children));
+        return list;
+    };
+    return sortNodes(roots);
+}
+
+/**
+ * Lists the paths of a user's tag hierarchy for the AI tag generators.
+ * Flat tags are left out; only tags that take part in a hierarchy matter.
+ * @param {string[]} existingTags - The user's tags
+ * @returns {string[]} - Sorted paths, including intermediate ones
+ */
+function getHierarchyPaths(existingTags) {
+    const paths = new Set();
+    existingTags
+        .filter(tag => tag.includes(TAG_PATH_SEPARATOR))
+        .forEach(tag => {
+            getAncestors(tag).forEach(path => paths.add(path));
+            paths.add(splitTagPath(tag).join(TAG_PATH_SEPARATOR));
+        });
+    return [...paths].sort().slice(0, MAX_PROMPT_PATHS);
+}
+
+/**
+ * Formats the extra tag generator instructions describing a user's hierarchy
+ * @param {string[]} paths - Paths from getHierarchyPaths
+ * @returns {string} - Prompt text, or '' when the user has no hierarchy
+ */
+function formatHierarchyPrompt(paths) {
+    if (!paths || paths.length === 0) return '';
+    return `
+
+The user organizes some tags in a hierarchy, written as paths separated by "/". Their existing hierarchy:
+${paths.map(path => `- ${path}`).join('\n')}
+
+When a tag fits this hierarchy, return it as a full path ending at the most specific fitting leaf (e.g. "ai/ml/transformers"), extending a path by one level if nothing fits exactly. Tags unrelated to the hierarchy stay plain.`;
+}
+
+/**
+ * Finds the single hierarchical tag whose last segment is the given flat tag,
+ * e.g. "transformers" -> "ai/ml/transformers"
+ * @param {string} tag - A flat, normalized tag
+ * @param {string[]} existingTags - The user's tags
+ * @param {Function} normalize - Normalizes a segment before comparing
+ * @returns {string|null} - The path tag, or null if none or ambiguous
+ */
+function findLeafPath(tag, existingTags, normalize = segment => segment) {
+    if (tag.includes(TAG_PATH_SEPARATOR)) return null;
+    const matches = existingTags.filter(existing => {
+        const segments = splitTagPath(existing);
+        return segments.length > 1 && normalize(segments[segments.length - 1]) === tag;
+    });
+    return matches.length === 1 ? matches[0] : null;
+}
+
+module.exports = {
+    TAG_PATH_SEPARATOR,
+    splitTagPath,
+    getAncestors,
+    tagMatchCondition,
+    buildTagTree,
+    getHierarchyPaths,
+    formatHierarchyPrompt,
+    findLeafPath
+};
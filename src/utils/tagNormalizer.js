@@ -1,4 +1,5 @@
 const stringSimilarity = require('string-similarity');
+const { TAG_PATH_SEPARATOR, splitTagPath, findLeafPath } = require('./tagHierarchy');
 
 // Common word variations to normalize
 const COMMON_VARIATIONS = {
@@ -14,7 +15,8 @@ const COMMON_VARIATIONS = {
     }
 };
 
-// Words that should be kept as-is (don't normalize these)
+// Words that should be kept as-is (don't normalize these). Users can add
+// their own on top of these.
 const PRESERVED_TERMS = new Set([
     'aws', // Cloud services
     'apis', // Technical terms
@@ -29,19 +31,63 @@ const PRESERVED_TERMS = new Set([
     'tensorflow',
 ]);
 
+const DEFAULT_SIMILARITY_THRESHOLD = 0.85;
+
 /**
- * Normalizes a tag by applying common rules
+ * Fills in defaults for a user's tag settings
+ * @param {Object} settings - The user's tagSettings (may be partial or missing)
+ * @returns {Object} - { preservedTerms: Set, similarityThreshold, blockedTags: Set, maxTags }
+ */
+const resolveTagSettings = (settings) => {
+    settings = settings || {};
+    const preservedTerms = new Set(PRESERVED_TERMS);
+    (settings.preservedTerms || []).forEach(term => preservedTerms.add(term.toLowerCase().trim()));
+
+    return {
+        preservedTerms,
+        similarityThreshold: typeof settings.similarityThreshold === 'number'
+            ? settings.similarityThreshold
+            : DEFAULT_SIMILARITY_THRESHOLD,
+        // Compared after normalization, so "Crypto" blocks "cryptos" too
+        blockedTags: new Set((settings.blockedTags || []).map(tag => normalizeTag(tag, { preservedTerms }))),
+        maxTags: settings.maxTags || null
+    };
+};
+
+/**
+ * Checks whether a tag, or the word its plural rules would change, is preserved
+ * @param {string} tag - Lowercased, trimmed tag
+ * @param {Set<string>} preservedTerms - Terms to keep as-is
+ * @returns {boolean}
+ */
+const isPreserved = (tag, preservedTerms) => {
+    return preservedTerms.has(tag) || preservedTerms.has(tag.split(/\s+/).pop());
+};
+
+/**
+ * Normalizes a tag by applying common rules. Hierarchical tags
+ * ("ai/ml/transformers") are normalized segment by segment.
  * @param {string} tag - The tag to normalize
+ * @param {Object} options - Optional settings
+ * @param {Set<string>} options.preservedTerms - Terms to keep as-is
  * @returns {string} - The normalized tag
  */
-const normalizeTag = (tag) => {
+const normalizeTag = (tag, { preservedTerms = PRESERVED_TERMS } = {}) => {
     if (!tag) return '';
+
+    if (tag.includes(TAG_PATH_SEPARATOR)) {
+        return splitTagPath(tag)
+            .map(segment => normalizeTag(segment, { preservedTerms }))
+            .filter(Boolean)
+            .join(TAG_PATH_SEPARATOR);
+    }
     
     // Convert to lowercase and trim
     let normalized = tag.toLowerCase().trim();
     
-    // Don't normalize preserved terms
-    if (PRESERVED_TERMS.has(normalized)) {
+    // Don't normalize preserved terms, including as the last word of a phrase
+    // ("managed kubernetes")
+    if (isPreserved(normalized, preservedTerms)) {
         return normalized;
     }
 
@@ -71,18 +117,24 @@ const normalizeTag = (tag) => {
  * @param {string} newTag - The new tag to check
  * @param {string[]} existingTags - Array of existing tags
  * @param {number} similarityThreshold - Threshold for similarity (0-1)
+ * @param {Object} options - Optional settings
+ * @param {Set<string>} options.preservedTerms - Terms to keep as-is
  * @returns {string|null} - Returns the most similar existing tag or null if no similar tags found
  */
-const findSimilarTag = (newTag, existingTags, similarityThreshold = 0.85) => {
-    const normalizedNew = normalizeTag(newTag);
+const findSimilarTag = (newTag, existingTags, similarityThreshold = DEFAULT_SIMILARITY_THRESHOLD, { preservedTerms = PRESERVED_TERMS } = {}) => {
+    const normalizedNew = normalizeTag(newTag, { preservedTerms });
     
     // First check for exact matches after normalization
-    const exactMatch = existingTags.find(tag => normalizeTag(tag) === normalizedNew);
+    const exactMatch = existingTags.find(tag => normalizeTag(tag, { preservedTerms }) === normalizedNew);
     if (exactMatch) {
         return exactMatch;
     }
 
-    // Then check for similar tags
+    // Then check for similar tags (findBestMatch rejects an empty list).
+    // Preserved terms only ever match exactly.
+    if (existingTags.length === 0 || isPreserved(normalizedNew, preservedTerms)) {
+        return null;
+    }
     const matches = stringSimilarity.findBestMatch(normalizedNew, existingTags);
     if (matches.bestMatch.rating >= similarityThreshold) {
         return matches.bestMatch.target;
@@ -92,37 +144,88 @@ const findSimilarTag = (newTag, existingTags, similarityThreshold = 0.85) => {
 };
 
 /**
- * Processes an array of tags, normalizing them and handling duplicates/similarities
+ * Works out what each incoming tag becomes and why, without changing anything
  * @param {string[]} newTags - Array of new tags to process
  * @param {string[]} existingTags - Array of existing tags in the system
- * @returns {string[]} - Array of processed tags
+ * @param {Object} options - Optional settings
+ * @param {Map<string, string>} options.aliases - Normalized alias -> canonical tag
+ * @param {Object} options.settings - The user's tagSettings
+ * @returns {Object[]} - Entries of { input, tag, reason } in input order; tag is
+ *                       null when the input is dropped. Reasons: 'alias',
+ *                       'hierarchy', 'existing', 'similar', 'new', 'empty',
+ *                       'blocked', 'duplicate', 'limit'
  */
-const processTags = (newTags, existingTags) => {
-    const processedTags = new Set();
-
-    for (const tag of newTags) {
-        const normalizedTag = normalizeTag(tag);
-        
-        // Skip empty tags
-        if (!normalizedTag) continue;
-
-        // Check for similar existing tags
-        const similarTag = findSimilarTag(normalizedTag, existingTags);
-        
-        if (similarTag) {
-            // Use the existing similar tag
-            processedTags.add(similarTag);
+const explainTags = (newTags, existingTags, { aliases = new Map(), settings } = {}) => {
+    const { preservedTerms, similarityThreshold, blockedTags, maxTags } = resolveTagSettings(settings);
+    const kept = new Set();
+    const leafPath = (tag) => existingTags.includes(tag)
+        ? null
+        : findLeafPath(tag, existingTags, segment => normalizeTag(segment, { preservedTerms }));
+
+    return newTags.map(input => {
+        const normalizedTag = normalizeTag(input, { preservedTerms });
+        let tag;
+        let reason;
+
+        if (!normalizedTag) {
+            return { input, tag: null, reason: 'empty' };
+        }
+
+        if (aliases.has(normalizedTag)) {
+            // Registered aliases always win over similarity matching
+            tag = aliases.get(normalizedTag);
+            reason = 'alias';
+        } else if (leafPath(normalizedTag)) {
+            // A flat tag naming a leaf of the user's hierarchy joins it there
+            tag = leafPath(normalizedTag);
+            reason = 'hierarchy';
         } else {
-            // Use the normalized version of the new tag
-            processedTags.add(normalizedTag);
+            // Check for similar existing tags
+            const similarTag = findSimilarTag(normalizedTag, existingTags, similarityThreshold, { preservedTerms });
+            if (similarTag) {
+                // Use the existing similar tag
+                tag = similarTag;
+                reason = normalizeTag(similarTag, { preservedTerms }) === normalizedTag ? 'existing' : 'similar';
+            } else {
+                // Use the normalized version of the new tag
+                tag = normalizedTag;
+                reason = 'new';
+            }
+        }
+
+        if (blockedTags.has(normalizeTag(tag, { preservedTerms }))) {
+            return { input, tag: null, reason: 'blocked' };
+        }
+        if (kept.has(tag)) {
+            return { input, tag: null, reason: 'duplicate' };
+        }
+        if (maxTags && kept.size >= maxTags) {
+            return { input, tag: null, reason: 'limit' };
         }
-    }
 
-    return Array.from(processedTags);
+        kept.add(tag);
+        return { input, tag, reason };
+    });
+};
+
+/**
+ * Processes an array of tags, normalizing them and handling duplicates/similarities
+ * @param {string[]} newTags - Array of new tags to process
+ * @param {string[]} existingTags - Array of existing tags in the system
+ * @param {Object} options - Optional settings (see explainTags)
+ * @returns {string[]} - Array of processed tags
+ */
+const processTags = (newTags, existingTags, options = {}) => {
+    return explainTags(newTags, existingTags, options)
+        .filter(entry => entry.tag)
+        .map(entry => entry.tag);
 };
 
 module.exports = {
+    DEFAULT_SIMILARITY_THRESHOLD,
+    resolveTagSettings,
     normalizeTag,
+    explainTags,
     findSimilarTag,
     processTags
 };
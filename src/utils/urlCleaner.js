@@ -47,6 +47,22 @@ function isYouTubeUrl(url) {
     }
 }
 
+/**
+ * Extracts the domain of a URL, without a leading 'www.'
+ * @param {string} url - The URL
+ * @returns {string|null} - e.g. "github.com", or null if the URL can't be parsed
+ */
+function getDomain(url) {
+    if (!url) return null;
+    try {
+        const withProtocol = /^[a-z][a-z0-9+.-]*:\/\//i.test(url) ? url : 'https://' + url;
+        const hostname = new URL(withProtocol).hostname.toLowerCase();
+        return hostname.startsWith('www.') ? hostname.slice(4) : hostname || null;
+    } catch (error) {
+        return null;
+    }
+}
+
 /**
  * Cleans and normalizes a URL by:
  * - Converting YouTube URLs to youtu.be format
@@ -96,8 +112,55 @@ function cleanUrl(url) {
     }
 }
 
+// Subdomains serving the same pages as the main site
+const MIRROR_SUBDOMAINS = /^(m|mobile|amp)\./;
+
+/**
+ * Reduces a URL to a key shared by its variants, for spotting duplicates
+ * that cleanUrl keeps apart:
+ * - Google AMP cache and viewer URLs resolve to the page they serve
+ * - Mobile and AMP subdomains (m., mobile., amp.) are dropped
+ * - AMP paths (/amp, /amp/..., .amp.html) map to the regular page
+ * - http and https are treated alike
+ *
+ * @param {string} url - The URL
+ * @returns {string|null} - The canonical key, or null if the URL can't be parsed
+ */
+function canonicalizeUrl(url) {
+    const cleaned = cleanUrl(url);
+    if (!cleaned) return null;
+
+    try {
+        const urlObj = new URL(cleaned);
+        let hostname = urlObj.hostname.toLowerCase();
+        let pathname = urlObj.pathname;
+
+        // https://www-example-com.cdn.ampproject.org/c/s/www.example.com/article
+        // and https://www.google.com/amp/s/www.example.com/article
+        const ampCache = hostname.endsWith('.cdn.ampproject.org')
+            ? /^\/[a-z]\/(?:s\/)?(.+)$/.exec(pathname)
+            : /^(?:google\.[a-z.]+)$/.test(hostname) && /^\/amp\/(?:s\/)?(.+)$/.exec(pathname);
+        if (ampCache) {
+            return canonicalizeUrl(ampCache[1]);
+        }
+
+        hostname = hostname.replace(/^www\./, '').replace(MIRROR_SUBDOMAINS, '');
+        pathname = pathname
+            .replace(/\/amp\/?$/, '')
+            .replace(/^\/amp\//, '/')
+            .replace(/\.amp(\.html?)$/, '$1')
+            .replace(/\/+$/, '');
+
+        return `https://${hostname}${pathname}`;
+    } catch (error) {
+        return null;
+    }
+}
+
 module.exports = {
     cleanUrl,
+    canonicalizeUrl,
+    getDomain,
     extractYouTubeVideoId,
     isYouTubeUrl
 };
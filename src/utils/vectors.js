@@ -0,0 +1,80 @@
+// Vector helpers for semantic search
+
+const HASHING_DIMENSIONS = 512;
+
+// Words too common to say anything about a bookmark
+const STOP_WORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'how',
+    'in', 'is', 'it', 'its', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was',
+    'what', 'when', 'which', 'with', 'you', 'your'
+]);
+
+/**
+ * Cosine similarity of two vectors
+ * @param {number[]} a - First vector
+ * @param {number[]} b - Second vector
+ * @returns {number} - Between -1 and 1; 0 when either is empty or zero
+ */
+function cosineSimilarity(a, b) {
+    if (!a || !b || a.length === 0 || a.length !== b.length) return 0;
+
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+    return normA === 0 || normB === 0 ? 0 : dot / Math.sqrt(normA * normB);
+}
+
+// 32-bit FNV-1a
+const hashString = (text) => {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+};
+
+/**
+ * Embeds text without a model by hashing its words and character trigrams
+ * into a fixed number of dimensions. Trigrams let related word forms
+ * ("database", "databases") land close together. Good enough for local
+ * development and tests; real semantic matches need a provider model.
+ * @param {string} text - The text
+ * @param {number} dimensions - Vector length
+ * @returns {number[]} - Unit-length vector (all zeros for empty text)
+ */
+function hashingEmbedding(text, dimensions = HASHING_DIMENSIONS) {
+    const vector = new Array(dimensions).fill(0);
+    const words = String(text || '')
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(word => word.length > 1 && !STOP_WORDS.has(word));
+
+    const add = (feature, weight) => {
+        const hash = hashString(feature);
+        // The top bit picks the sign so collisions tend to cancel out
+        vector[hash % dimensions] += hash & 0x80000000 ? -weight : weight;
+    };
+
+    words.forEach(word => {
+        add(`w:${word}`, 1);
+        const padded = `^${word}$`;
+        for (let i = 0; i + 3 <= padded.length; i++) {
+            add(`t:${padded.slice(i, i + 3)}`, 0.5);
+        }
+    });
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return norm === 0 ? vector : vector.map(value => value / norm);
+}
+
+module.exports = {
+    HASHING_DIMENSIONS,
+    cosineSimilarity,
+    hashingEmbedding
+};
@@ -0,0 +1,191 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Bookmark = require('../src/models/Bookmark');
+const Change = require('../src/models/Change');
+const Folder = require('../src/models/Folder');
+const trash = require('../src/services/trash');
+const { undoChange, undoOperation } = require('../src/services/history');
+
+// revertChanges is exercised through undoChange and undoOperation, with the
+// model methods it uses stubbed out so no database is needed
+
+const userId = new mongoose.Types.ObjectId();
+
+/**
+ * Stubs the database calls made while reverting and records what was written
+ * @param {Object} t - The test context
+ * @param {Object[]} docs - Documents findById can return
+ * @returns {Object} - { created: [], marked: [], trashed: [] }
+ */
+const stubDatabase = (t, docs) => {
+    const calls = { created: [], marked: [], trashed: [] };
+    const byId = new Map(docs.map(doc => [doc._id.toString(), doc]));
+    const findById = (id) => ({ setOptions: async () => byId.get(id.toString()) || null });
+
+    t.mock.method(Bookmark, 'findById', findById);
+    t.mock.method(Folder, 'findById', findById);
+    t.mock.method(Bookmark, 'exists', async () => null);
+    t.mock.method(Change, 'create', async (change) => calls.created.push(change));
+    t.mock.method(Change, 'updateOne', async (filter, update) => calls.marked.push({ filter, update }));
+    t.mock.method(trash, 'trashFolder', async (folder, operation) => calls.trashed.push({ folder, operation }));
+    docs.forEach(doc => t.mock.method(doc, 'save', async () => doc));
+
+    return calls;
+};
+
+const makeBookmark = (fields = {}) => new Bookmark({ user: userId, url: 'https://example.com/a', ...fields });
+
+const makeChange = (entity, fields) => ({
+    _id: new mongoose.Types.ObjectId(),
+    user: userId,
+    entityType: 'Bookmark',
+    entity: entity._id,
+    action: 'update',
+    operation: new mongoose.Types.ObjectId(),
+    undoneFields: [],
+    createdAt: new Date(),
+    ...fields
+});
+
+test('reverts the fields of an update and records the undo', async (t) => {
+    const bookmark = makeBookmark({ title: 'New', isFavorite: true });
+    const change = makeChange(bookmark, {
+        before: { title: 'Old', isFavorite: false },
+        after: { title: 'New', isFavorite: true }
+    });
+    const calls = stubDatabase(t, [bookmark]);
+    t.mock.method(Change, 'findOne', async () => change);
+
+    const result = await undoChange(userId, change._id);
+
+    assert.strictEqual(result.reverted, 1);
+    assert.deepStrictEqual(result.conflicts, []);
+    assert.strictEqual(bookmark.title, 'Old');
+    assert.strictEqual(bookmark.isFavorite, false);
+    assert.strictEqual(bookmark.save.mock.callCount(), 1);
+
+    // The undo is itself a recorded change under a new operation
+    assert.strictEqual(calls.created.length, 1);
+    assert.strictEqual(calls.created[0].label, 'undo');
+    assert.strictEqual(calls.created[0].operation, result.operationId);
+    assert.deepStrictEqual(calls.created[0].after, { title: 'Old', isFavorite: false });
+
+    const [{ update }] = calls.marked;
+    assert.ok(update.$set.undoneAt instanceof Date);
+    assert.strictEqual(update.$set.undoneBy, result.operationId);
+});
+
+test('leaves fields changed again since alone and can finish the undo later', async (t) => {
+    const bookmark = makeBookmark({ title: 'New', tags: ['edited'] });
+    const change = makeChange(bookmark, {
+        before: { title: 'Old', tags: ['a'] },
+        after: { title: 'New', tags: ['b'] }
+    });
+    const calls = stubDatabase(t, [bookmark]);
+    t.mock.method(Change, 'findOne', async () => change);
+
+    const first = await undoChange(userId, change._id);
+
+    assert.strictEqual(first.reverted, 1);
+    assert.deepStrictEqual(first.conflicts, [{
+        change: change._id,
+        entity: bookmark._id,
+        reason: 'Changed again since',
+        fields: ['tags']
+    }]);
+    assert.strictEqual(bookmark.title, 'Old');
+    assert.deepStrictEqual([...bookmark.tags], ['edited']);
+    // Only the reverted field is marked, so the change stays undoable
+    assert.deepStrictEqual(calls.marked[0].update, { $set: { undoneFields: ['title'] } });
+
+    // Once the conflicting field is back to what the change set, the rest
+    // of the change can be undone without touching the title again
+    bookmark.title = 'Renamed';
+    bookmark.tags = ['b'];
+    change.undoneFields = ['title'];
+    const second = await undoChange(userId, change._id);
+
+    assert.strictEqual(second.reverted, 1);
+    assert.deepStrictEqual(second.conflicts, []);
+    assert.strictEqual(bookmark.title, 'Renamed');
+    assert.deepStrictEqual([...bookmark.tags], ['a']);
+    assert.deepStrictEqual(calls.marked[1].update.$set.undoneFields, ['title', 'tags']);
+    assert.ok(calls.marked[1].update.$set.undoneAt instanceof Date);
+});
+
+test('reports a change with every field changed again as a conflict without marking it', async (t) => {
+    const bookmark = makeBookmark({ title: 'Edited' });
+    const change = makeChange(bookmark, { before: { title: 'Old' }, after: { title: 'New' } });
+    const calls = stubDatabase(t, [bookmark]);
+    t.mock.method(Change, 'findOne', async () => change);
+
+    const result = await undoChange(userId, change._id);
+
+    assert.strictEqual(result.reverted, 0);
+    assert.strictEqual(result.conflicts.length, 1);
+    assert.strictEqual(bookmark.title, 'Edited');
+    assert.strictEqual(bookmark.save.mock.callCount(), 0);
+    assert.strictEqual(calls.marked.length, 0);
+});
+
+test('undoes creations by trashing the bookmark or the folder', async (t) => {
+    const bookmark = makeBookmark();
+    const folder = new Folder({ user: userId, name: 'Imported' });
+    const operation = new mongoose.Types.ObjectId();
+    const changes = [
+        makeChange(bookmark, { action: 'create', operation, before: {}, after: {} }),
+        makeChange(folder, { entityType: 'Folder', action: 'create', operation, before: {}, after: {} })
+    ];
+    const calls = stubDatabase(t, [bookmark, folder]);
+    t.mock.method(Change, 'find', async () => changes);
+
+    const result = await undoOperation(userId, operation);
+
+    assert.strictEqual(result.reverted, 2);
+    assert.ok(bookmark.deletedAt instanceof Date);
+    assert.strictEqual(bookmark.save.mock.callCount(), 1);
+    // Folders go through the trash service so their contents follow them
+    assert.strictEqual(calls.trashed.length, 1);
+    assert.strictEqual(calls.trashed[0].folder, folder);
+    assert.strictEqual(calls.trashed[0].operation.id, result.operationId);
+    assert.strictEqual(folder.save.mock.callCount(), 0);
+    assert.strictEqual(calls.marked.length, 2);
+});
+
+test('reports documents that no longer exist as conflicts', async (t) => {
+    const gone = makeBookmark();
+    const change = makeChange(gone, { before: { title: 'Old' }, after: { title: 'New' } });
+    stubDatabase(t, []);
+    t.mock.method(Change, 'findOne', async () => change);
+
+    const result = await undoChange(userId, change._id);
+
+    assert.strictEqual(result.reverted, 0);
+    assert.deepStrictEqual(result.conflicts, [{ change: change._id, entity: gone._id, reason: 'Permanently deleted' }]);
+});
+
+test('does not restore a bookmark whose URL has been bookmarked again', async (t) => {
+    const deletedAt = new Date();
+    const bookmark = makeBookmark({ deletedAt });
+    const change = makeChange(bookmark, { before: { deletedAt: null }, after: { deletedAt } });
+    stubDatabase(t, [bookmark]);
+    t.mock.method(Bookmark, 'exists', async () => ({ _id: new mongoose.Types.ObjectId() }));
+    t.mock.method(Change, 'findOne', async () => change);
+
+    const result = await undoChange(userId, change._id);
+
+    assert.strictEqual(result.reverted, 0);
+    assert.strictEqual(result.conflicts[0].reason, 'URL bookmarked again since');
+    assert.strictEqual(bookmark.deletedAt, deletedAt);
+});
+
+test('refuses to undo a change or operation twice', async (t) => {
+    const bookmark = makeBookmark();
+    const change = makeChange(bookmark, { before: {}, after: {}, undoneAt: new Date() });
+    t.mock.method(Change, 'findOne', async () => change);
+    t.mock.method(Change, 'find', async () => [change]);
+
+    await assert.rejects(undoChange(userId, change._id), { status: 409 });
+    await assert.rejects(undoOperation(userId, change.operation), { status: 409 });
+});
@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { IMPORT_SOURCES, parseImportFile } = require('../src/utils/importParsers');
+
+test('parses the legacy Pocket HTML export', () => {
+    const html = `<ul>
+        <li><a href="https://example.com/a" time_added="1700000000" tags="one,two">Article A</a></li>
+        <li><a href="https://example.com/b" time_added="">Article B</a></li>
+    </ul>`;
+
+    const [a, b] = parseImportFile('pocket', html);
+
+    assert.strictEqual(a.url, 'https://example.com/a');
+    assert.strictEqual(a.title, 'Article A');
+    assert.deepStrictEqual(a.tags, ['one', 'two']);
+    assert.strictEqual(a.addDate.getTime(), 1700000000000);
+    assert.strictEqual(b.addDate, null);
+    assert.deepStrictEqual(b.tags, []);
+});
+
+test('parses the Pocket CSV export with pipe-separated tags', () => {
+    const csv = 'title,url,time_added,tags,status\r\n' +
+        '"Hello, world",https://example.com/a,1700000000,one|two,unread\r\n';
+
+    const [entry] = parseImportFile('pocket', csv);
+
+    assert.strictEqual(entry.title, 'Hello, world');
+    assert.strictEqual(entry.url, 'https://example.com/a');
+    assert.deepStrictEqual(entry.tags, ['one', 'two']);
+    assert.strictEqual(entry.addDate.getTime(), 1700000000000);
+});
+
+test('parses Raindrop collections, notes and favorites', () => {
+    const csv = 'id,title,note,excerpt,url,folder,tags,created,cover,highlights,favorite\n' +
+        '1,Nested,My note,Excerpt,https://example.com/a,Work / Projects,"x, y",2024-01-02T03:04:05.000Z,,,true\n' +
+        '2,Loose,,,https://example.com/b,Unsorted,,,,,false\n';
+
+    const [nested, loose] = parseImportFile('raindrop', csv);
+
+    assert.deepStrictEqual(nested.folderPath, ['Work', 'Projects']);
+    assert.strictEqual(nested.description, 'My note');
+    assert.strictEqual(nested.excerpt, 'Excerpt');
+    assert.deepStrictEqual(nested.tags, ['x', 'y']);
+    assert.strictEqual(nested.addDate.toISOString(), '2024-01-02T03:04:05.000Z');
+    assert.strictEqual(nested.isFavorite, true);
+    assert.deepStrictEqual(loose.folderPath, []);
+    assert.strictEqual(loose.isFavorite, false);
+    assert.strictEqual(loose.addDate, null);
+});
+
+test('parses Pinboard JSON with space-separated tags', () => {
+    const json = JSON.stringify([{
+        href: 'https://example.com/a',
+        description: 'Title',
+        extended: 'Longer text',
+        tags: 'one  two',
+        time: '2024-01-02T03:04:05Z'
+    }]);
+
+    const [entry] = parseImportFile('pinboard', json);
+
+    assert.strictEqual(entry.url, 'https://example.com/a');
+    assert.strictEqual(entry.title, 'Title');
+    assert.strictEqual(entry.excerpt, 'Longer text');
+    assert.deepStrictEqual(entry.tags, ['one', 'two']);
+    assert.strictEqual(entry.addDate.toISOString(), '2024-01-02T03:04:05.000Z');
+});
+
+test('rejects Pinboard files that are not a JSON array', () => {
+    assert.throws(() => parseImportFile('pinboard', '{not json'), /not valid JSON/);
+    assert.throws(() => parseImportFile('pinboard', '{"href":"x"}'), /expected an array/);
+});
+
+test('maps Instapaper folders, skipping the built-in ones', () => {
+    const csv = 'URL,Title,Selection,Folder,Timestamp,Tags\n' +
+        'https://example.com/a,A,Quote,Research,1700000000,\n' +
+        'https://example.com/b,B,,Starred,1700000000,\n' +
+        'https://example.com/c,C,,Unread,,\n';
+
+    const [a, b, c] = parseImportFile('instapaper', csv);
+
+    assert.deepStrictEqual(a.folderPath, ['Research']);
+    assert.strictEqual(a.excerpt, 'Quote');
+    assert.strictEqual(a.isFavorite, false);
+    assert.deepStrictEqual(b.folderPath, []);
+    assert.strictEqual(b.isFavorite, true);
+    assert.deepStrictEqual(c.folderPath, []);
+    assert.strictEqual(c.addDate, null);
+});
+
+test('hands Netscape files to the bookmark file parser', () => {
+    const [entry] = parseImportFile('netscape', '<DL><p><DT><A HREF="https://example.com/a">A</A></DL><p>');
+
+    assert.strictEqual(entry.url, 'https://example.com/a');
+    assert.strictEqual(entry.title, 'A');
+});
+
+test('rejects unknown sources', () => {
+    assert.ok(!IMPORT_SOURCES.includes('delicious'));
+    assert.throws(() => parseImportFile('delicious', ''), /Unsupported import source: delicious/);
+});
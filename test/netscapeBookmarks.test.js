@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    NETSCAPE_HEADER,
+    NETSCAPE_FOOTER,
+    parseNetscapeBookmarks,
+    formatFolderStart,
+    formatFolderEnd,
+    formatBookmark
+} = require('../src/utils/netscapeBookmarks');
+
+const SAMPLE = `<!DOCTYPE NETSCAPE-Bookmark-file-1>
+<TITLE>Bookmarks</TITLE>
+<H1>Bookmarks</H1>
+<DL><p>
+    <DT><A HREF="https://example.com/root" ADD_DATE="1700000000">Root link</A>
+    <DT><H3 ADD_DATE="1700000000">Reading &amp; Notes</H3>
+    <DL><p>
+        <DT><A HREF="https://example.com/a?x=1&amp;y=2" ADD_DATE="1700000000000000" TAGS="js, node">A &lt;title&gt;</A>
+        <DD>First description
+        <DT><H3>Nested</H3>
+        <DL><p>
+            <DT><a href='https://example.com/b'>B</a>
+        </DL><p>
+        <DT><A HREF="https://example.com/c">C</A>
+    </DL><p>
+    <DT><A HREF="https://example.com/d">D</A>
+</DL><p>
+`;
+
+test('parses entries with their folder paths', () => {
+    const entries = parseNetscapeBookmarks(SAMPLE);
+
+    assert.deepStrictEqual(entries.map(entry => [entry.url, entry.folderPath]), [
+        ['https://example.com/root', []],
+        ['https://example.com/a?x=1&y=2', ['Reading & Notes']],
+        ['https://example.com/b', ['Reading & Notes', 'Nested']],
+        ['https://example.com/c', ['Reading & Notes']],
+        ['https://example.com/d', []]
+    ]);
+});
+
+test('decodes titles, tags, descriptions and timestamps', () => {
+    const [root, a, b] = parseNetscapeBookmarks(SAMPLE);
+
+    assert.strictEqual(a.title, 'A <title>');
+    assert.deepStrictEqual(a.tags, ['js', 'node']);
+    assert.strictEqual(a.description, 'First description');
+    // Seconds and microseconds both map to the same date
+    assert.strictEqual(root.addDate.getTime(), 1700000000000);
+    assert.strictEqual(a.addDate.getTime(), 1700000000000);
+    assert.strictEqual(b.addDate, null);
+    assert.strictEqual(b.description, '');
+});
+
+test('returns nothing for empty or non-string input', () => {
+    assert.deepStrictEqual(parseNetscapeBookmarks(''), []);
+    assert.deepStrictEqual(parseNetscapeBookmarks(null), []);
+    assert.deepStrictEqual(parseNetscapeBookmarks('<p>no bookmarks here</p>'), []);
+});
+
+test('parses large files in linear time', () => {
+    const count = 20000;
+    const body = Array.from({ length: count }, (_, i) =>
+        `<DT><A HREF="https://example.com/${i}" ADD_DATE="1700000000">Entry ${i}</A>\n<DD>Description ${i}\n`
+    ).join('');
+
+    const start = Date.now();
+    const entries = parseNetscapeBookmarks(`<DL><p>\n${body}</DL><p>\n`);
+
+    assert.strictEqual(entries.length, count);
+    assert.strictEqual(entries[count - 1].description, `Description ${count - 1}`);
+    assert.ok(Date.now() - start < 5000, 'parsing took too long');
+});
+
+test('formatted exports parse back to the same bookmarks', () => {
+    const createdAt = new Date('2024-01-02T03:04:05Z');
+    const html = NETSCAPE_HEADER +
+        formatBookmark({ url: 'https://example.com/top', title: 'Top', createdAt }, -1) +
+        formatFolderStart({ name: 'Dev <tools>', createdAt }, 0) +
+        formatBookmark({
+            url: 'https://example.com/q?a=1&b="2"',
+            title: 'Quotes & "things"',
+            tags: ['one', 'two'],
+            aiSummary: 'Summary text',
+            createdAt
+        }, 0) +
+        formatFolderEnd(0) +
+        NETSCAPE_FOOTER;
+
+    const [top, nested] = parseNetscapeBookmarks(html);
+
+    assert.deepStrictEqual(top.folderPath, []);
+    assert.strictEqual(top.addDate.getTime(), createdAt.getTime());
+    assert.strictEqual(nested.url, 'https://example.com/q?a=1&b="2"');
+    assert.strictEqual(nested.title, 'Quotes & "things"');
+    assert.deepStrictEqual(nested.tags, ['one', 'two']);
+    assert.strictEqual(nested.description, 'Summary text');
+    assert.deepStrictEqual(nested.folderPath, ['Dev <tools>']);
+});
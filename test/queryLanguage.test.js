@@ -0,0 +1,154 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { tokenize, parse, compileQuery, mentionsSnoozed } = require('../src/utils/queryLanguage');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+test('sends top-level free text to $text, including exclusions and phrases', () => {
+    assert.deepStrictEqual(compileQuery('rust "async book" -beginner'), {
+        filter: null,
+        text: 'rust "async book" -beginner'
+    });
+});
+
+test('returns neither filter nor text for an empty query', () => {
+    assert.deepStrictEqual(compileQuery(''), { filter: null, text: null });
+    assert.deepStrictEqual(compileQuery('   '), { filter: null, text: null });
+    assert.deepStrictEqual(compileQuery(undefined), { filter: null, text: null });
+});
+
+test('compiles field terms next to free text', () => {
+    const { filter, text } = compileQuery('tag:Rust is:fav category:research ownership');
+
+    assert.strictEqual(text, 'ownership');
+    const [tag, favorite, category] = filter.$and;
+    // Tags match case-insensitively by value and include descendants
+    assert.strictEqual(tag.tags.$in[0], 'rust');
+    assert.ok(tag.tags.$in[1].test('rust/async'));
+    assert.ok(!tag.tags.$in[1].test('rustacean'));
+    assert.deepStrictEqual(favorite, { isFavorite: true });
+    assert.deepStrictEqual(category, { category: 'Research' });
+});
+
+test('matches a domain and its subdomains only', () => {
+    const { filter } = compileQuery('domain:https://GitHub.com/some/path');
+    const pattern = filter.url;
+
+    assert.ok(pattern.test('https://github.com/user/repo'));
+    assert.ok(pattern.test('http://gist.github.com'));
+    assert.ok(pattern.test('github.com:443/x'));
+    assert.ok(!pattern.test('https://notgithub.com'));
+    assert.ok(!pattern.test('https://github.com.evil.io'));
+});
+
+test('gives OR lower precedence than AND and honors parentheses', () => {
+    const { filter } = compileQuery('tag:a tag:b OR tag:c');
+    assert.strictEqual(filter.$or.length, 2);
+    assert.strictEqual(filter.$or[0].$and.length, 2);
+
+    const grouped = compileQuery('tag:a (tag:b OR tag:c)').filter;
+    assert.strictEqual(grouped.$and.length, 2);
+    assert.strictEqual(grouped.$and[1].$or.length, 2);
+});
+
+test('negates terms and groups with NOT and a leading dash', () => {
+    const dashed = compileQuery('-tag:beginner').filter;
+    const worded = compileQuery('NOT tag:beginner').filter;
+    assert.deepStrictEqual(dashed, worded);
+    assert.strictEqual(dashed.$nor.length, 1);
+
+    const group = compileQuery('-(is:read OR is:archived)').filter;
+    assert.deepStrictEqual(group, {
+        $nor: [{ $or: [{ 'reading.status': 'read' }, { 'reading.status': 'archived' }] }]
+    });
+});
+
+test('falls back to a regex for free text that $text cannot express', () => {
+    const { filter, text } = compileQuery('tag:a OR web.dev');
+
+    assert.strictEqual(text, null);
+    const regexBranch = filter.$or[1].$or;
+    assert.ok(regexBranch.every(condition => Object.values(condition)[0].test('WEB.DEV notes')));
+    // The dot is matched literally
+    assert.ok(!regexBranch[0].title.test('webxdev'));
+
+    // Exclusions without any positive text can't go to $text either
+    const excluded = compileQuery('-draft');
+    assert.strictEqual(excluded.text, null);
+    assert.ok(excluded.filter.$nor[0].$or.length > 0);
+});
+
+test('compiles calendar dates and relative ages', () => {
+    assert.deepStrictEqual(compileQuery('before:2024-06-01').filter, {
+        createdAt: { $lt: new Date('2024-06-01T00:00:00.000Z') }
+    });
+    // A calendar date for after: starts the following day
+    assert.deepStrictEqual(compileQuery('after:2024-06-01').filter, {
+        createdAt: { $gte: new Date('2024-06-02T00:00:00.000Z') }
+    });
+
+    const start = Date.now();
+    const { createdAt } = compileQuery('after:2w').filter;
+    const age = start - createdAt.$gte.getTime();
+    assert.ok(age >= 14 * DAY_MS - 1000 && age <= 14 * DAY_MS + 1000);
+});
+
+test('treats unread as including bookmarks without a reading status', () => {
+    assert.deepStrictEqual(compileQuery('is:unread').filter, {
+        'reading.status': { $in: ['unread', null] }
+    });
+    assert.deepStrictEqual(compileQuery('folder:none').filter, { folder: null });
+});
+
+test('reads quoted field values', () => {
+    const tokens = tokenize('tag:"machine learning"');
+    assert.strictEqual(tokens.length, 1);
+    assert.strictEqual(tokens[0].value, 'machine learning');
+});
+
+test('leaves unknown fields as free text', () => {
+    assert.deepStrictEqual(compileQuery('https://example.com'), { filter: null, text: 'https://example.com' });
+});
+
+test('rejects malformed queries with a 400 and the position', () => {
+    const cases = [
+        ['"unterminated', /Unterminated quote \(at position 1\)/],
+        ['tag:', /Missing value for "tag:"/],
+        ['(tag:a', /Missing closing parenthesis/],
+        ['tag:a)', /Unexpected "\)" \(at position 6\)/],
+        ['tag:a OR', /Expected a term after OR/],
+        ['NOT', /Expected a term after NOT/],
+        ['()', /Empty parentheses/],
+        ['category:podcast', /Unknown category "podcast"/],
+        ['is:shiny', /Unknown value "shiny" for is:/],
+        ['folder:abc', /Invalid folder ID "abc"/],
+        ['before:June', /Invalid date "June" for before:/]
+    ];
+
+    cases.forEach(([query, message]) => {
+        assert.throws(() => compileQuery(query), (error) => {
+            assert.strictEqual(error.status, 400, query);
+            assert.match(error.message, message);
+            return true;
+        });
+    });
+});
+
+test('builds a parse tree of and/or/not nodes', () => {
+    const tree = parse(tokenize('a AND (b OR NOT c)'));
+
+    assert.strictEqual(tree.type, 'and');
+    assert.strictEqual(tree.children[0].value, 'a');
+    assert.strictEqual(tree.children[1].type, 'or');
+    assert.strictEqual(tree.children[1].children[1].type, 'not');
+    assert.strictEqual(tree.children[1].children[1].child.value, 'c');
+});
+
+test('tells whether a query filters on snoozed bookmarks', () => {
+    assert.strictEqual(mentionsSnoozed('is:snoozed'), true);
+    assert.strictEqual(mentionsSnoozed('tag:later (is:Snoozed OR is:due)'), true);
+    assert.strictEqual(mentionsSnoozed('-is:snoozed'), true);
+    assert.strictEqual(mentionsSnoozed('is:due snoozed'), false);
+    assert.strictEqual(mentionsSnoozed('"is:snoozed"'), false);
+    assert.strictEqual(mentionsSnoozed(''), false);
+});
@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    DUPLICATE_DISTANCE,
+    computeFingerprint,
+    hammingDistance,
+    isNearDuplicate,
+    fingerprintBands,
+    findNearDuplicatePairs
+} = require('../src/utils/simhash');
+
+const ARTICLE = `Rust ownership rules guarantee memory safety without a garbage collector.
+    Every value has a single owner, and when the owner goes out of scope the value
+    is dropped. Borrowing lets functions use values without taking ownership, and
+    the borrow checker enforces that mutable references are exclusive. Lifetimes
+    describe how long references stay valid, which the compiler usually infers.
+    Together these rules prevent dangling pointers, data races and double frees
+    at compile time, which makes systems programming considerably safer while
+    keeping performance predictable for embedded devices and large servers alike.`;
+
+const OTHER = `Sourdough bread starts with a culture of wild yeast and lactic bacteria.
+    Bakers feed the starter with flour and water every day until it doubles
+    reliably after feeding. The dough then rests overnight in a cool place so
+    flavour develops slowly, before shaping, scoring and baking in a very hot
+    covered pot. Steam keeps the crust soft early on so the loaf can rise, and
+    removing the lid later lets the crust darken and crackle. Hydration, flour
+    choice and fermentation time all change the crumb, which is why recipes vary
+    so widely between kitchens, climates and the seasons of the baking year.`;
+
+// Flips the given bits of a fingerprint
+const flipBits = (fingerprint, bits) => {
+    let value = BigInt(`0x${fingerprint}`);
+    bits.forEach(bit => {
+        value ^= 1n << BigInt(bit);
+    });
+    return value.toString(16).padStart(16, '0');
+};
+
+test('fingerprints long texts as 16 hex digits, deterministically', () => {
+    const fingerprint = computeFingerprint(ARTICLE);
+
+    assert.match(fingerprint, /^[0-9a-f]{16}$/);
+    assert.strictEqual(computeFingerprint(ARTICLE), fingerprint);
+    // Case and punctuation don't matter
+    assert.strictEqual(computeFingerprint(ARTICLE.toUpperCase().replace(/[.,]/g, ' ')), fingerprint);
+});
+
+test('does not fingerprint short or missing text', () => {
+    assert.strictEqual(computeFingerprint('Too short to say anything about'), null);
+    assert.strictEqual(computeFingerprint(''), null);
+    assert.strictEqual(computeFingerprint(null), null);
+});
+
+test('gives a lightly edited copy a nearby fingerprint and other text a distant one', () => {
+    const original = computeFingerprint(ARTICLE);
+    const edited = computeFingerprint(ARTICLE
+        .replace('Rust ownership rules', 'Ownership rules in Rust')
+        .replace('embedded devices', 'embedded boards'));
+    const other = computeFingerprint(OTHER);
+
+    assert.ok(isNearDuplicate(original, edited));
+    assert.ok(!isNearDuplicate(original, other));
+    assert.ok(hammingDistance(original, other) > DUPLICATE_DISTANCE);
+});
+
+test('counts differing bits', () => {
+    assert.strictEqual(hammingDistance('0000000000000000', '0000000000000000'), 0);
+    assert.strictEqual(hammingDistance('0000000000000000', 'ffffffffffffffff'), 64);
+    assert.strictEqual(hammingDistance('00000000000000f0', '0000000000000001'), 5);
+    assert.strictEqual(isNearDuplicate(null, '0000000000000000'), false);
+});
+
+test('splits fingerprints into bands that near duplicates always share', () => {
+    const fingerprint = 'f0e1d2c3b4a59687';
+    const bands = fingerprintBands(fingerprint);
+
+    assert.strictEqual(bands.length, DUPLICATE_DISTANCE + 1);
+    assert.deepStrictEqual(bands.map(band => band.split(':')[0]), ['0', '1', '2', '3']);
+    assert.deepStrictEqual(fingerprintBands(null), []);
+
+    // However the differing bits are spread, one band is left untouched
+    [[0, 16, 32], [15, 31, 47], [63, 62, 61], [1, 20, 40]].forEach(bits => {
+        const near = fingerprintBands(flipBits(fingerprint, bits));
+        assert.ok(near.some(band => bands.includes(band)), `no shared band for bits ${bits}`);
+    });
+});
+
+test('finds the same near-duplicate pairs as comparing every pair', () => {
+    // A fixed pseudo-random sequence keeps the test repeatable
+    let seed = 42n;
+    const random64 = () => {
+        seed = (seed * 6364136223846793005n + 1442695040888963407n) & ((1n << 64n) - 1n);
+        return seed.toString(16).padStart(16, '0');
+    };
+
+    const fingerprints = [];
+    for (let i = 0; i < 60; i++) {
+        const base = random64();
+        fingerprints.push(base);
+        if (i % 3 === 0) fingerprints.push(flipBits(base, [i % 64, (i * 7) % 64]));
+        if (i % 5 === 0) fingerprints.push(flipBits(base, [1, 2, 3, 4]));
+    }
+    fingerprints.push(null);
+
+    const expected = [];
+    for (let i = 0; i < fingerprints.length; i++) {
+        for (let j = i + 1; j < fingerprints.length; j++) {
+            if (isNearDuplicate(fingerprints[i], fingerprints[j])) {
+                expected.push([i, j, hammingDistance(fingerprints[i], fingerprints[j])]);
+            }
+        }
+    }
+
+    const pairs = findNearDuplicatePairs(fingerprints)
+        .sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+
+    assert.ok(expected.length >= 20);
+    assert.deepStrictEqual(pairs, expected);
+});
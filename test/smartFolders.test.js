@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('node:http');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Bookmark = require('../src/models/Bookmark');
+const SavedSearch = require('../src/models/SavedSearch');
+const User = require('../src/models/User');
+const bookmarkRoutes = require('../src/routes/bookmarks');
+
+const userId = new mongoose.Types.ObjectId();
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+/**
+ * Lists a smart folder through GET /bookmarks with the database stubbed out
+ * @param {Object} t - The test context
+ * @param {string} savedQuery - The smart folder's query
+ * @param {string} params - Extra query string parameters
+ * @returns {Promise<Object>} - { status, filter } with the filter the listing ran
+ */
+const listSmartFolder = async (t, savedQuery, params = '') => {
+    const savedSearch = new SavedSearch({ user: userId, name: 'Folder', query: savedQuery });
+    const filters = [];
+
+    t.mock.method(User, 'findById', () => ({ select: async () => ({ _id: userId, id: userId.toString() }) }));
+    t.mock.method(SavedSearch, 'findOne', async () => savedSearch);
+    t.mock.method(Bookmark, 'countDocuments', async (filter) => {
+        filters.push(filter);
+        return 0;
+    });
+    t.mock.method(Bookmark, 'find', () => {
+        const query = { sort: () => query, skip: () => query, limit: async () => [] };
+        return query;
+    });
+
+    const app = express();
+    app.use('/bookmarks', bookmarkRoutes);
+    const server = http.createServer(app);
+    await new Promise(resolve => server.listen(0, resolve));
+    t.after(() => server.close());
+
+    const token = jwt.sign({ id: userId.toString() }, process.env.JWT_SECRET);
+    const response = await fetch(`http://localhost:${server.address().port}/bookmarks?smartFolder=${savedSearch._id}${params}`, {
+        headers: { Authorization: `Bearer ${token}` }
+    });
+    return { status: response.status, filter: filters[0] };
+};
+
+test('shows snoozed bookmarks in a smart folder that asks for them', async (t) => {
+    const { status, filter } = await listSmartFolder(t, 'is:snoozed');
+
+    assert.strictEqual(status, 200);
+    assert.ok(!('reminder.remindAt' in filter));
+    assert.ok(filter.$and[0]['reminder.remindAt'].$gt instanceof Date);
+});
+
+test('hides snoozed bookmarks from other smart folders by default', async (t) => {
+    const { status, filter } = await listSmartFolder(t, 'tag:rust');
+
+    assert.strictEqual(status, 200);
+    assert.ok(filter['reminder.remindAt'].$not.$gt instanceof Date);
+});
+
+test('still applies an explicit snoozed parameter', async (t) => {
+    const { filter } = await listSmartFolder(t, 'is:snoozed tag:rust', '&snoozed=true');
+
+    assert.ok(filter['reminder.remindAt'].$gt instanceof Date);
+});
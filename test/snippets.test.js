@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildSnippets } = require('../src/utils/snippets');
+
+const filler = (words) => Array.from({ length: words }, (_, i) => `word${i}`).join(' ');
+
+test('marks matching words in short fields', () => {
+    const snippets = buildSnippets([
+        { field: 'title', text: 'Rust ownership explained' },
+        { field: 'description', text: 'Nothing relevant here' }
+    ], 'ownership');
+
+    assert.deepStrictEqual(snippets, [{ field: 'title', html: 'Rust <mark>ownership</mark> explained' }]);
+});
+
+test('matches words by their stem, ignoring case', () => {
+    const [snippet] = buildSnippets([
+        { field: 'notes', text: 'Bookmarking tools and a Bookmark manager' }
+    ], 'bookmarks');
+
+    assert.strictEqual(snippet.html, '<mark>Bookmarking</mark> tools and a <mark>Bookmark</mark> manager');
+});
+
+test('only matches at the start of a word', () => {
+    assert.deepStrictEqual(buildSnippets([{ field: 'title', text: 'Unrusted metal' }], 'rust'), []);
+});
+
+test('marks phrases as a whole and leaves out excluded terms', () => {
+    const [snippet] = buildSnippets([
+        { field: 'aiSummary', text: 'A guide to machine   learning, not deep learning or python' }
+    ], '"machine learning" -python -"deep learning"');
+
+    assert.strictEqual(snippet.html, 'A guide to <mark>machine learning</mark>, not deep learning or python');
+});
+
+test('escapes the text around and inside matches', () => {
+    const [snippet] = buildSnippets([
+        { field: 'title', text: '<script>alert("x")</script> & tags' }
+    ], 'script');
+
+    assert.strictEqual(
+        snippet.html,
+        '&lt;<mark>script</mark>&gt;alert(&quot;x&quot;)&lt;/<mark>script</mark>&gt; &amp; tags'
+    );
+});
+
+test('trims long text to whole words around the match', () => {
+    const text = `${filler(40)} needle ${filler(40)}`;
+    const [snippet] = buildSnippets([{ field: 'description', text }], 'needle');
+
+    assert.ok(snippet.html.startsWith('…word'));
+    assert.ok(snippet.html.endsWith('…'));
+    assert.ok(snippet.html.includes('<mark>needle</mark>'));
+    // No word is cut in half
+    snippet.html.replace(/…|<\/?mark>/g, ' ').split(/\s+/).filter(Boolean).forEach(word => {
+        assert.match(word, /^(word\d+|needle)$/);
+    });
+});
+
+test('gives page content up to three snippets, preferring the densest, in document order', () => {
+    const gap = filler(60);
+    const text = [
+        'alpha', gap, 'alpha alpha', gap, 'alpha', gap, 'alpha alpha alpha', gap, 'alpha alpha'
+    ].join(' ');
+
+    const snippets = buildSnippets([
+        { field: 'title', text: `alpha ${gap} alpha` },
+        { field: 'content', text }
+    ], 'alpha');
+
+    // Other fields get a single snippet
+    assert.strictEqual(snippets.filter(snippet => snippet.field === 'title').length, 1);
+
+    const content = snippets.filter(snippet => snippet.field === 'content');
+    assert.deepStrictEqual(
+        content.map(snippet => snippet.html.match(/<mark>/g).length),
+        [2, 3, 2]
+    );
+});
+
+test('returns nothing without anything to highlight', () => {
+    assert.deepStrictEqual(buildSnippets([{ field: 'title', text: 'Anything' }], '-excluded'), []);
+    assert.deepStrictEqual(buildSnippets([{ field: 'title', text: 'Anything' }], ''), []);
+    assert.deepStrictEqual(buildSnippets([{ field: 'title', text: '' }, { field: 'notes' }], 'anything'), []);
+});
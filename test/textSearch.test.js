@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Bookmark = require('../src/models/Bookmark');
+const BookmarkContent = require('../src/models/BookmarkContent');
+const { keywordSearch } = require('../src/services/textSearch');
+
+const userId = new mongoose.Types.ObjectId();
+
+/**
+ * Stands in for a lean find() query, applying sort and limit the way the
+ * database would
+ * @param {Object[]} results - Matches with a score
+ * @param {Object[]} calls - Receives { filter, sorted, limit } per query
+ */
+const fakeQuery = (results, calls) => (filter) => {
+    const call = { filter, sorted: false, limit: null };
+    calls.push(call);
+    const query = {
+        select: () => query,
+        lean: () => query,
+        sort: () => {
+            call.sorted = true;
+            return query;
+        },
+        limit: (limit) => {
+            call.limit = limit;
+            return query;
+        },
+        then: (resolve, reject) => {
+            let matches = [...results];
+            if (call.sorted) matches.sort((a, b) => b.score - a.score);
+            if (call.limit) matches = matches.slice(0, call.limit);
+            return Promise.resolve(matches).then(resolve, reject);
+        }
+    };
+    return query;
+};
+
+const ids = (count) => Array.from({ length: count }, () => new mongoose.Types.ObjectId());
+
+test('returns every match, combining field and page content scores', async (t) => {
+    const fieldIds = ids(250);
+    const contentIds = ids(30);
+    const filtered = contentIds[0];
+    const calls = [];
+
+    t.mock.method(Bookmark, 'find', fakeQuery(fieldIds.map((_id, i) => ({ _id, score: 1 + i / 1000 })), calls));
+    t.mock.method(BookmarkContent, 'find', fakeQuery([
+        // Matches in both get both scores, content counting for half
+        { bookmark: fieldIds[0], score: 4 },
+        ...contentIds.map(bookmark => ({ bookmark, score: 2 }))
+    ], calls));
+    // The first content-only match doesn't pass the rest of the filter
+    t.mock.method(Bookmark, 'distinct', async (field, filter) =>
+        filter._id.$in.filter(id => !id.equals(filtered)));
+
+    const filter = { user: userId, isFavorite: true };
+    const matches = await keywordSearch(userId, filter, 'rust');
+
+    assert.strictEqual(matches.length, 250 + 30 - 1);
+    assert.ok(!matches.some(match => match.id.equals(filtered)));
+    assert.ok(matches[0].id.equals(fieldIds[0]));
+    assert.strictEqual(matches[0].score, 1 + 2);
+    matches.slice(1).forEach((match, i) => assert.ok(match.score <= matches[i].score));
+
+    assert.deepStrictEqual(calls[0].filter, { ...filter, $text: { $search: 'rust' } });
+    assert.deepStrictEqual(calls[1].filter, { user: userId, $text: { $search: 'rust' } });
+    assert.ok(calls.every(call => call.limit === null));
+});
+
+test('only looks at the best matches when given a limit', async (t) => {
+    const fieldIds = ids(20);
+    const calls = [];
+
+    t.mock.method(Bookmark, 'find', fakeQuery(fieldIds.map((_id, i) => ({ _id, score: i })), calls));
+    t.mock.method(BookmarkContent, 'find', fakeQuery([], calls));
+    t.mock.method(Bookmark, 'distinct', async () => []);
+
+    const matches = await keywordSearch(userId, { user: userId }, 'rust', { limit: 5 });
+
+    assert.deepStrictEqual(matches.map(match => match.score), [19, 18, 17, 16, 15]);
+    assert.ok(calls.every(call => call.sorted && call.limit === 5));
+});